@@ -2,8 +2,14 @@ import React from 'react';
 import { useSimulation } from './hooks/useSimulation';
 import { InputPanel } from './components/InputPanel';
 import { ComparisonCard } from './components/ComparisonCard';
+import { RiskCard } from './components/RiskCard';
 import { HistogramPair } from './components/HistogramPair';
 import { TimeChart } from './components/TimeChart';
+import { GoalPanel } from './components/GoalPanel';
+import { BacktestChart } from './components/BacktestChart';
+import { StressTestPanel } from './components/StressTestPanel';
+import { AllocationOptimizerChart } from './components/AllocationOptimizerChart';
+import { SensitivityChart } from './components/SensitivityChart';
 import './App.css';
 
 /**
@@ -16,11 +22,145 @@ function App() {
     timeHorizon,
     mortgageRate,
     stockAllocation,
+    contributionTiming,
+    loanBalance,
+    loanTermYears,
+    loanType,
+    homeValue,
+    rateModel,
+    longRunRate,
+    rateVolatility,
+    rateEquityCorrelation,
+    samplingMethod,
+    blockLength,
+    returnModel,
+    parameterSource,
+    expectedReturn,
+    returnVolatility,
+    degreesOfFreedom,
+    inflationModel,
+    inflationRate,
+    valueMode,
+    shieldingRate,
+    interestDeductionRate,
+    accountType,
+    askShare,
+    dividendYield,
+    wealthTax,
+    otherNetWealth,
+    annualFee,
+    purchaseFee,
+    transactionCost,
+    currencyMode,
+    hedgeCarry,
+    portfolioWeights,
+    allocationRule,
+    contributionGrowth,
+    contributionEvents,
+    lumpSum,
+    existingPortfolio,
+    existingCostBasis,
+    shockProbability,
+    shockAmount,
+    emergencyCost,
+    emergencyYear,
+    reborrow,
+    creditRate,
+    goalType,
+    currentAge,
+    targetAge,
+    goalYears,
+    goalAmount,
+    stressScenarioId,
+    stressPosition,
+    stressYear,
+    stressScenarios,
+    customStressScenarios,
+    optimizerEnabled,
+    optimizerObjective,
+    riskAversion,
+    minP5,
+    sensitivityEnabled,
+    sensitivityGridKey,
+    simulationMode,
+    numSimulations,
+    targetPrecision,
+    maxSeconds,
+    seed,
+    datasetStatistics,
     results,
+    goalAnalysis,
+    allocationOptimizer,
+    sensitivity,
     setMonthlyInvestment,
     setTimeHorizon,
     setMortgageRate,
-    setStockAllocation
+    setStockAllocation,
+    setContributionTiming,
+    setLoanBalance,
+    setLoanTermYears,
+    setLoanType,
+    setHomeValue,
+    setRateModel,
+    setLongRunRate,
+    setRateVolatility,
+    setRateEquityCorrelation,
+    setSamplingMethod,
+    setBlockLength,
+    setReturnModel,
+    setParameterSource,
+    setExpectedReturn,
+    setReturnVolatility,
+    setDegreesOfFreedom,
+    setInflationModel,
+    setInflationRate,
+    setValueMode,
+    setShieldingRate,
+    setInterestDeductionRate,
+    setAccountType,
+    setAskShare,
+    setDividendYield,
+    setWealthTax,
+    setOtherNetWealth,
+    setAnnualFee,
+    setPurchaseFee,
+    setTransactionCost,
+    setCurrencyMode,
+    setHedgeCarry,
+    setPortfolioWeights,
+    setAllocationRule,
+    setContributionGrowth,
+    setContributionEvents,
+    setLumpSum,
+    setExistingPortfolio,
+    setExistingCostBasis,
+    setShockProbability,
+    setShockAmount,
+    setEmergencyCost,
+    setEmergencyYear,
+    setReborrow,
+    setCreditRate,
+    setGoalType,
+    setCurrentAge,
+    setTargetAge,
+    setGoalYears,
+    setGoalAmount,
+    setStressScenarioId,
+    setStressPosition,
+    setStressYear,
+    setCustomStressScenarios,
+    setOptimizerEnabled,
+    setOptimizerObjective,
+    setRiskAversion,
+    setMinP5,
+    setSensitivityEnabled,
+    setSensitivityGridKey,
+    setShortfallThreshold,
+    setSimulationMode,
+    setNumSimulations,
+    setTargetPrecision,
+    setMaxSeconds,
+    setSeed
   } = useSimulation();
 
   return (
@@ -30,7 +170,8 @@ function App() {
           Nordiske aksjer vs. Nedbetaling av boliglån
         </h1>
         <p className="app-subtitle">
-          Monte Carlo-simulering med 10 000 scenarier basert på MSCI Nordic Countries Index (1990-2024)
+          Monte Carlo-simulering med {results.precision.numSimulations.toLocaleString('no-NO')} scenarier basert på
+          MSCI Nordic Countries Index (1990-2024)
         </p>
       </header>
 
@@ -40,18 +181,190 @@ function App() {
           timeHorizon={timeHorizon}
           mortgageRate={mortgageRate}
           stockAllocation={stockAllocation}
+          contributionTiming={contributionTiming}
+          loanBalance={loanBalance}
+          loanTermYears={loanTermYears}
+          loanType={loanType}
+          homeValue={homeValue}
+          rateModel={rateModel}
+          longRunRate={longRunRate}
+          rateVolatility={rateVolatility}
+          rateEquityCorrelation={rateEquityCorrelation}
+          samplingMethod={samplingMethod}
+          blockLength={blockLength}
+          returnModel={returnModel}
+          parameterSource={parameterSource}
+          expectedReturn={expectedReturn}
+          returnVolatility={returnVolatility}
+          degreesOfFreedom={degreesOfFreedom}
+          inflationModel={inflationModel}
+          inflationRate={inflationRate}
+          shieldingRate={shieldingRate}
+          interestDeductionRate={interestDeductionRate}
+          accountType={accountType}
+          askShare={askShare}
+          dividendYield={dividendYield}
+          wealthTax={wealthTax}
+          otherNetWealth={otherNetWealth}
+          annualFee={annualFee}
+          purchaseFee={purchaseFee}
+          transactionCost={transactionCost}
+          currencyMode={currencyMode}
+          hedgeCarry={hedgeCarry}
+          portfolioWeights={portfolioWeights}
+          allocationRule={allocationRule}
+          contributionGrowth={contributionGrowth}
+          contributionEvents={contributionEvents}
+          lumpSum={lumpSum}
+          existingPortfolio={existingPortfolio}
+          existingCostBasis={existingCostBasis}
+          shockProbability={shockProbability}
+          shockAmount={shockAmount}
+          emergencyCost={emergencyCost}
+          emergencyYear={emergencyYear}
+          reborrow={reborrow}
+          creditRate={creditRate}
+          seed={seed}
+          simulationMode={simulationMode}
+          numSimulations={numSimulations}
+          targetPrecision={targetPrecision}
+          maxSeconds={maxSeconds}
+          datasetStatistics={datasetStatistics}
           onMonthlyInvestmentChange={setMonthlyInvestment}
           onTimeHorizonChange={setTimeHorizon}
           onMortgageRateChange={setMortgageRate}
           onStockAllocationChange={setStockAllocation}
+          onContributionTimingChange={setContributionTiming}
+          onLoanBalanceChange={setLoanBalance}
+          onLoanTermYearsChange={setLoanTermYears}
+          onLoanTypeChange={setLoanType}
+          onHomeValueChange={setHomeValue}
+          onRateModelChange={setRateModel}
+          onLongRunRateChange={setLongRunRate}
+          onRateVolatilityChange={setRateVolatility}
+          onRateEquityCorrelationChange={setRateEquityCorrelation}
+          onSamplingMethodChange={setSamplingMethod}
+          onBlockLengthChange={setBlockLength}
+          onReturnModelChange={setReturnModel}
+          onParameterSourceChange={setParameterSource}
+          onExpectedReturnChange={setExpectedReturn}
+          onReturnVolatilityChange={setReturnVolatility}
+          onDegreesOfFreedomChange={setDegreesOfFreedom}
+          onInflationModelChange={setInflationModel}
+          onInflationRateChange={setInflationRate}
+          onShieldingRateChange={setShieldingRate}
+          onInterestDeductionRateChange={setInterestDeductionRate}
+          onAccountTypeChange={setAccountType}
+          onAskShareChange={setAskShare}
+          onDividendYieldChange={setDividendYield}
+          onWealthTaxChange={setWealthTax}
+          onOtherNetWealthChange={setOtherNetWealth}
+          onAnnualFeeChange={setAnnualFee}
+          onPurchaseFeeChange={setPurchaseFee}
+          onTransactionCostChange={setTransactionCost}
+          onCurrencyModeChange={setCurrencyMode}
+          onHedgeCarryChange={setHedgeCarry}
+          onPortfolioWeightsChange={setPortfolioWeights}
+          onAllocationRuleChange={setAllocationRule}
+          onContributionGrowthChange={setContributionGrowth}
+          onContributionEventsChange={setContributionEvents}
+          onLumpSumChange={setLumpSum}
+          onExistingPortfolioChange={setExistingPortfolio}
+          onExistingCostBasisChange={setExistingCostBasis}
+          onShockProbabilityChange={setShockProbability}
+          onShockAmountChange={setShockAmount}
+          onEmergencyCostChange={setEmergencyCost}
+          onEmergencyYearChange={setEmergencyYear}
+          onReborrowChange={setReborrow}
+          onCreditRateChange={setCreditRate}
+          onSeedChange={setSeed}
+          onSimulationModeChange={setSimulationMode}
+          onNumSimulationsChange={setNumSimulations}
+          onTargetPrecisionChange={setTargetPrecision}
+          onMaxSecondsChange={setMaxSeconds}
         />
 
         <section className="results-section">
+          <div className="value-mode-toggle" role="group" aria-label="Vis beløp i">
+            <button
+              type="button"
+              className={`value-mode-button ${valueMode === 'nominal' ? 'active' : ''}`}
+              onClick={() => setValueMode('nominal')}
+            >
+              Nominelle kroner
+            </button>
+            <button
+              type="button"
+              className={`value-mode-button ${valueMode === 'real' ? 'active' : ''}`}
+              onClick={() => setValueMode('real')}
+            >
+              Dagens kroner (reelt)
+            </button>
+          </div>
+
           <ComparisonCard
             stockStats={results.stock.stats}
             mortgageStats={results.mortgage.stats}
             comparison={results.comparison}
+            loanSummary={results.loan}
+            taxSummary={results.tax}
+            costSummary={results.costs}
+            accountSummary={results.accounts}
+            lumpSumSummary={results.lumpSum}
+            allocationSummary={results.allocation}
+            shockSummary={results.shocks}
+            reborrow={reborrow}
+            wealthTax={wealthTax}
+            accountType={accountType}
+            askShare={askShare}
+            annualizedReturns={results.annualizedReturns}
+            valueMode={results.valueMode}
+            stockAllocation={stockAllocation}
+            samplingMethod={samplingMethod}
+            blockLength={blockLength}
+            returnModel={returnModel}
+            seed={results.seed}
+            precision={results.precision}
+          />
+
+          <RiskCard
+            risk={results.risk}
+            stockAllocation={stockAllocation}
+            valueMode={results.valueMode}
+            onShortfallThresholdChange={setShortfallThreshold}
+          />
+
+          <GoalPanel
+            goalType={goalType}
+            currentAge={currentAge}
+            targetAge={targetAge}
+            goalYears={goalYears}
+            goalAmount={goalAmount}
+            goalAnalysis={goalAnalysis}
+            valueMode={results.valueMode}
+            onGoalTypeChange={setGoalType}
+            onCurrentAgeChange={setCurrentAge}
+            onTargetAgeChange={setTargetAge}
+            onGoalYearsChange={setGoalYears}
+            onGoalAmountChange={setGoalAmount}
+          />
+
+          <StressTestPanel
+            stressTest={results.stressTest}
+            scenarios={stressScenarios}
+            scenarioId={stressScenarioId}
+            position={stressPosition}
+            year={stressYear}
+            timeHorizon={results.timeHorizon}
+            customScenarios={customStressScenarios}
+            stockPercentiles={results.stock.percentiles}
+            mortgagePercentiles={results.mortgage.percentiles}
             stockAllocation={stockAllocation}
+            valueMode={results.valueMode}
+            onScenarioChange={setStressScenarioId}
+            onPositionChange={setStressPosition}
+            onYearChange={setStressYear}
+            onCustomScenariosChange={setCustomStressScenarios}
           />
 
           <div className="charts-grid">
@@ -62,12 +375,45 @@ function App() {
               mortgagePercentiles={results.mortgage.percentiles}
               stockAllocation={stockAllocation}
               monthlyInvestment={monthlyInvestment}
-              timeHorizon={timeHorizon}
+              timeHorizon={results.timeHorizon}
+              valueMode={results.valueMode}
             />
 
             <TimeChart
               timeSeriesData={results.timeSeriesData}
               stockAllocation={stockAllocation}
+              loanSummary={results.loan}
+              valueMode={results.valueMode}
+            />
+
+            <BacktestChart
+              backtest={results.backtest}
+              stockAllocation={stockAllocation}
+              valueMode={results.valueMode}
+            />
+
+            <AllocationOptimizerChart
+              optimizer={allocationOptimizer}
+              enabled={optimizerEnabled}
+              objective={optimizerObjective}
+              riskAversion={riskAversion}
+              minP5={minP5}
+              stockAllocation={stockAllocation}
+              valueMode={results.valueMode}
+              onEnabledChange={setOptimizerEnabled}
+              onObjectiveChange={setOptimizerObjective}
+              onRiskAversionChange={setRiskAversion}
+              onMinP5Change={setMinP5}
+              onApply={setStockAllocation}
+            />
+
+            <SensitivityChart
+              sensitivity={sensitivity}
+              enabled={sensitivityEnabled}
+              gridKey={sensitivityGridKey}
+              valueMode={results.valueMode}
+              onEnabledChange={setSensitivityEnabled}
+              onGridKeyChange={setSensitivityGridKey}
             />
           </div>
         </section>
@@ -77,12 +423,88 @@ function App() {
             <h3>Forutsetninger og metode</h3>
             <ul>
               <li><strong>Aksjeavkastning:</strong> Basert på MSCI Nordic Countries Index historiske data (1990-2024).
-                Avkastning er tilfeldig utvalgt (bootstrap) for å generere realistiske scenarier.</li>
-              <li><strong>Skatt:</strong> Norsk gevinstskatt på 37,84% anvendes på investeringsgevinst.</li>
-              <li><strong>Boliglånsfordel:</strong> Modellert som spart rente, sammensatt til boliglånsrenten.
-                Antar at ekstra innbetalinger reduserer hovedstol og sparer fremtidig rente.</li>
-              <li><strong>Simulering:</strong> 10 000 Monte Carlo-iterasjoner per scenario.
-                Hver iterasjon genererer en unik markedsbane.</li>
+                Avkastning er tilfeldig utvalgt (bootstrap) for å generere realistiske scenarier. Årene kan trekkes
+                uavhengig, i blokker av påfølgende år, eller via en bull/bear-regimemodell tilpasset dataene.
+                Alternativt trekkes avkastningen fra en normal-, lognormal- eller Student-t-fordeling med
+                historiske eller egne forutsetninger for forventet avkastning og volatilitet.</li>
+              <li><strong>Valuta:</strong> Dataene lagrer indeksavkastning i lokal valuta og endringen i EUR/NOK
+                hvert år hver for seg. Usikret gir lokal avkastning pluss valutaendringen fra samme historiske år;
+                valutasikret gir lokal avkastning pluss en fast rentedifferanse mellom NOK og utenlandsk rente.</li>
+              <li><strong>Portefølje:</strong> Aksjesiden kan fordeles på MSCI Nordic, globalt indeksfond (MSCI World),
+                OSEBX og pengemarked. Alle aktiva hentes fra samme historiske år, slik at samvariasjonen beholdes,
+                og porteføljen rebalanseres årlig. Alle andeler skattlegges som aksjefond (forenkling).</li>
+              <li><strong>Innskudd:</strong> Månedlige innskudd investeres ved slutten av hver måned og får kun
+                sin andel av årets avkastning, samme tidspunkt som ekstra innbetalinger på boliglånet. Månedsbeløpet
+                kan øke årlig og ha pauser, nye beløp og engangsinnskudd; begge strategier bruker samme plan.</li>
+              <li><strong>Allokeringsregler:</strong> Andelen til aksjer kan følge en regel som vurderes hvert år på
+                hver bane: en glidebane mot lavere aksjeandel de siste årene, eller alt til lånet når porteføljens
+                avkastningsindeks er mer enn 20% under toppen. Regelen sammenlignes med faste andeler på de samme
+                banene.</li>
+              <li><strong>Engangsbeløp og eksisterende portefølje:</strong> Engangsbeløpet settes inn i dag og fordeles
+                som månedsbeløpet; boliglånsstrategien betaler ned alt. En eksisterende portefølje beholdes i begge
+                strategier med sin inngangsverdi og selges ved horisonten, så begge resultatene inkluderer den etter
+                skatt. Den blir liggende på vanlig konto også med ASK, siden aksjer kjøpt utenfor ASK ikke kan flyttes
+                inn uten at gevinsten realiseres.</li>
+              <li><strong>Historisk backtest:</strong> Strategien kjøres også én gang for hvert faktiske
+                sammenhengende vindu i dataene (1990–1999, 1991–2000, …) med periodens avkastning og inflasjon.
+                Dataene har ikke historiske boliglånsrenter, så renten holdes på dagens nivå, og tilfeldige jobbtap
+                er utelatt.</li>
+              <li><strong>Stresstest:</strong> En navngitt hendelse fra dataene (f.eks. 2008 eller 2001–2002) eller en egen sekvens
+                spilles av fra valgt år i horisonten. Årene utenfor krisen får medianavkastningen (geometrisk snitt)
+                og forventet inflasjon, renten holdes på dagens nivå, og utfallet sammenlignes med fordelingen fra
+                Monte Carlo-simuleringen. Egne sekvenser lagres i nettleseren.</li>
+              <li><strong>Optimal aksjeandel:</strong> Faste andeler fra 0 til 100% i steg på 10 simuleres på de
+                samme 2 000 banene. Forventet nytte bruker CRRA-nytte, U(W) = W^(1−γ)/(1−γ), av dagens nettoformue
+                (bolig minus lån pluss annen formue) pluss utfallet, og vises som sikkerhetsekvivalent: det sikre
+                beløpet som gir samme nytte.</li>
+              <li><strong>Sensitivitet:</strong> Hver forutsetning flyttes ett steg ned og opp (boliglånsrente og
+                langsiktig rente ±1 pp, tidshorisont ±5 år, aksjeavkastning ±2 pp per år, gevinstskatt ±5 pp,
+                rentefradrag ±5 pp,
+                skjermingsrente ±1 pp, forvaltningshonorar ±0,5 pp), og simuleringen kjøres på nytt med 1 000 baner
+                og samme frø. Rutenettet viser én forutsetning i to steg ned og opp mot andelen aksjer.</li>
+              <li><strong>Likviditetssjokk (valgfritt):</strong> Jobbtap kan inntreffe hvert år med valgt
+                sannsynlighet, og en uforutsett utgift kan legges til et bestemt år. Sjokket betales ved årsslutt
+                ved å selge aksjer til verdien i banen, med gevinstskatt. Det aksjene ikke dekker, tas fra sparing
+                etter innfrielse, fra ekstra nedbetalt lån hvis banken tillater ny belåning, og ellers som
+                forbrukslån. Lånene koster renten etter fradrag frem til horisonten.</li>
+              <li><strong>Mål:</strong> Gjeldfri betyr at aksjene, solgt etter gevinstskatt uten skjerming, dekker
+                restgjelden; nettoformue er boligverdien minus restgjelden pluss aksjene etter skatt. Målet sjekkes
+                ved hvert årsskifte frem til fristen for faste andeler aksjer (0–100%) på de samme banene, og
+                sannsynligheten er andelen baner som når målet.</li>
+              <li><strong>Nedsiderisiko:</strong> CVaR er gjennomsnittet av de 5% og 1% dårligste utfallene.
+                Innskutt beløp sammenlignes nominelt med utfallet. Største fall fra topp måles på avkastningsindeksen
+                til aksjeporteføljen (én krone investert ved start) ved hvert årsskifte, så nye innskudd demper ikke
+                fallet; fall innad i året er ikke med.</li>
+              <li><strong>Kostnader:</strong> Forvaltningshonoraret trekkes fra fondsverdien hver måned. Fast
+                kurtasje per kjøp og spread/transaksjonskostnad på kjøp og salg trekkes fra beløpet som investeres
+                eller tas ut, og inngår i inngangsverdien ved skatteberegningen.</li>
+              <li><strong>Formuesskatt (valgfri):</strong> 2024-regler for én person: bunnfradrag 1,7 mill., 1,0% og
+                1,1% over 20 mill. Aksjer og fond verdsettes til 80% med tilsvarende reduksjon av gjelden, og
+                primærboligen til 25% (70% over 10 mill.). Hver strategi belastes formuesskatten utover
+                skatten uten ekstra innbetalinger, med renters rente etter skatt.</li>
+              <li><strong>Inflasjon:</strong> Hvert simulert år får inflasjonen (KPI, SSB) fra samme historiske år
+                som aksjeavkastningen, eller en fast rate. Reelle beløp er nominelle beløp delt på prisnivået i
+                samme bane, altså kjøpekraft i dagens kroner.</li>
+              <li><strong>Skatt:</strong> Norsk gevinstskatt på 37,84% anvendes på investeringsgevinst etter
+                skjermingsfradrag. Hvert kjøp får skjerming hvert årsskifte det eies, ubrukt skjerming legges til
+                skjermingsgrunnlaget, og andelene selges etter FIFO. Skjermingen kan ikke skape tap, og
+                skjermingsrenten følger renteutviklingen i banen. På ordinær konto skattlegges utbytte årlig etter
+                skjerming; på aksjesparekonto vokser utbytte skattefritt, uttak opp til innskuddet er skattefrie og
+                gevinsten skattlegges først ved uttak.</li>
+              <li><strong>Boliglånsfordel:</strong> Lånet nedbetales måned for måned som annuitets- eller serielån.
+                Verdien av ekstra innbetalinger er restgjelden uten ekstra innbetalinger minus faktisk restgjeld.
+                Etter innfrielse spares de frigjorte terminbeløpene til boliglånsrenten. Spart rente gir mindre
+                rentefradrag (22%), og det tapte fradraget trekkes fra med renters rente etter skatt.</li>
+              <li><strong>Flytende rente:</strong> Boliglånsrenten simuleres år for år og trekkes mot et langsiktig nivå
+                (Vasicek-modell), eventuelt korrelert med aksjeavkastningen i samme bane.</li>
+              <li><strong>Simulering:</strong> 10 000 Monte Carlo-iterasjoner per scenario som standard, eller 1 000
+                for en rask forhåndsvisning. Hver iterasjon genererer en unik markedsbane. Samme seed og samme
+                parametere gir identiske resultater, og alle andeler aksjer simuleres på de samme banene.</li>
+              <li><strong>Usikkerhet i simuleringen:</strong> Sannsynligheten og persentilene vises med 95%-intervall
+                for tilfeldigheten i banene, ikke for usikkerheten i forutsetningene. Sannsynligheten bruker
+                normaltilnærming, persentilene rangene rundt persentilen i de sorterte utfallene. I adaptiv modus
+                legges 2 000 baner til om gangen, med samme seed, til intervallet for sannsynligheten er innenfor
+                valgt presisjon, 50 000 baner er nådd eller tidsgrensen er passert.</li>
             </ul>
             <p className="footer-note">
               Bygget med React + Vite • Data: MSCI Nordic Countries Index •
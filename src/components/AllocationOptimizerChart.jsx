@@ -0,0 +1,245 @@
+import React from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { Statistics } from '../utils/statistics';
+import './AllocationOptimizerChart.css';
+
+const OBJECTIVES = [
+  { value: 'median', label: 'Høyest median' },
+  { value: 'utility', label: 'Høyest forventet nytte (CRRA)' },
+  { value: 'floor', label: 'Høyest median med 5. persentil over et gulv' }
+];
+
+const OptimizerTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const d = payload[0].payload;
+    return (
+      <div className="optimizer-tooltip">
+        <p className="tooltip-title">{d.allocation}% aksjer</p>
+        <p className="tooltip-row median">Median: {Statistics.formatNOK(d.median, true)}</p>
+        <p className="tooltip-row mean">Gjennomsnitt: {Statistics.formatNOK(d.mean, true)}</p>
+        <p className="tooltip-row p5">5. persentil: {Statistics.formatNOK(d.p5, true)}</p>
+        <p className="tooltip-row">Sikkerhetsekvivalent: {Statistics.formatNOK(d.certaintyEquivalent, true)}</p>
+        <p className="tooltip-row probability">
+          Slår boliglånet: {Statistics.formatPercent(d.probabilityStockWins, 0)}
+        </p>
+      </div>
+    );
+  }
+  return null;
+};
+
+/**
+ * AllocationOptimizerChart Component
+ * Median, 5th percentile, mean and the probability of beating full mortgage
+ * paydown for every fixed allocation from 0 to 100%, simulated on the same
+ * paths, with the allocation recommended for the chosen objective
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.optimizer - { objective, points, recommendation }
+ *   from useSimulation, or null before the sweep has been run
+ * @param {boolean} props.enabled - Whether the sweep is on; it re-runs when the
+ *   inputs change, so it is off until the user asks for it
+ * @param {string} props.objective - 'median', 'utility' or 'floor'
+ * @param {number} props.riskAversion - Relative risk aversion for 'utility'
+ * @param {number} props.minP5 - Lowest acceptable 5th percentile for 'floor'
+ * @param {number} props.stockAllocation - Current allocation (0-100)
+ * @param {string} props.valueMode - 'nominal' or 'real'
+ */
+export const AllocationOptimizerChart = ({
+  optimizer,
+  enabled,
+  objective,
+  riskAversion,
+  minP5,
+  stockAllocation,
+  valueMode = 'nominal',
+  onEnabledChange,
+  onObjectiveChange,
+  onRiskAversionChange,
+  onMinP5Change,
+  onApply
+}) => {
+  const isMobile = typeof window !== 'undefined' && window.innerWidth < 768;
+  const currencyLabel = valueMode === 'real' ? 'dagens kroner' : 'NOK';
+  const recommendation = optimizer?.recommendation ?? null;
+
+  return (
+    <div className="optimizer-container">
+      <h3 className="optimizer-title">Optimal aksjeandel</h3>
+
+      <div className="optimizer-controls">
+        <label className="optimizer-field">
+          <span>Mål for valget</span>
+          <select
+            value={objective}
+            onChange={(e) => onObjectiveChange(e.target.value)}
+            className="input-field select-field"
+          >
+            {OBJECTIVES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {objective === 'utility' && (
+          <label className="optimizer-field">
+            <span>Risikoaversjon (γ)</span>
+            <input
+              type="number"
+              min="0"
+              max="20"
+              step="0.5"
+              value={riskAversion}
+              onChange={(e) => onRiskAversionChange(Number(e.target.value))}
+              className="input-field"
+            />
+          </label>
+        )}
+
+        {objective === 'floor' && (
+          <label className="optimizer-field">
+            <span>5. persentil minst ({currencyLabel})</span>
+            <input
+              type="number"
+              step="50000"
+              value={minP5}
+              onChange={(e) => onMinP5Change(Number(e.target.value))}
+              className="input-field"
+            />
+          </label>
+        )}
+
+        <button type="button" className="optimizer-button" onClick={() => onEnabledChange(!enabled)}>
+          {enabled ? 'Slå av' : 'Beregn 0–100%'}
+        </button>
+      </div>
+
+      {!optimizer && (
+        <p className="optimizer-note">
+          Simulerer hver andel aksjer fra 0 til 100% i steg på 10 på de samme banene.
+        </p>
+      )}
+
+      {optimizer && (
+        <>
+          <div className="optimizer-recommendation">
+            {recommendation ? (
+              <>
+                <span>
+                  Anbefalt: <strong>{recommendation.allocation}% aksjer</strong>
+                  {' '}(median {Statistics.formatNOK(recommendation.median, true)}
+                  {objective === 'utility' &&
+                    `, sikkerhetsekvivalent ${Statistics.formatNOK(recommendation.certaintyEquivalent, true)}`}
+                  {objective === 'floor' &&
+                    `, 5. persentil ${Statistics.formatNOK(recommendation.p5, true)}`})
+                </span>
+                {recommendation.allocation !== stockAllocation && (
+                  <button
+                    type="button"
+                    className="optimizer-button"
+                    onClick={() => onApply(recommendation.allocation)}
+                  >
+                    Bruk {recommendation.allocation}%
+                  </button>
+                )}
+              </>
+            ) : (
+              <span>Ingen andel aksjer gir en 5. persentil over gulvet.</span>
+            )}
+          </div>
+
+          <ResponsiveContainer width="100%" height={isMobile ? 280 : 340}>
+            <LineChart
+              data={optimizer.points}
+              margin={
+                isMobile
+                  ? { top: 10, right: 5, left: 5, bottom: 5 }
+                  : { top: 10, right: 20, left: 20, bottom: 5 }
+              }
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              <XAxis
+                dataKey="allocation"
+                tickFormatter={(value) => `${value}%`}
+                tick={{ fontSize: isMobile ? 9 : 11 }}
+                label={{
+                  value: 'Andel aksjer',
+                  position: 'insideBottom',
+                  offset: -2,
+                  style: { fontWeight: 'bold', fontSize: isMobile ? 10 : 12 }
+                }}
+              />
+              <YAxis
+                yAxisId="value"
+                tickFormatter={(value) => Statistics.formatNOK(value, true)}
+                tick={{ fontSize: isMobile ? 9 : 11 }}
+                width={isMobile ? 55 : 70}
+                label={{
+                  value: `Verdi (${currencyLabel})`,
+                  angle: -90,
+                  position: 'insideLeft',
+                  offset: isMobile ? 5 : 10,
+                  style: { fontWeight: 'bold', fontSize: isMobile ? 9 : 11 }
+                }}
+              />
+              <YAxis
+                yAxisId="probability"
+                orientation="right"
+                domain={[0, 1]}
+                tickFormatter={(value) => Statistics.formatPercent(value, 0)}
+                tick={{ fontSize: isMobile ? 9 : 11 }}
+                width={isMobile ? 35 : 45}
+              />
+              <Tooltip content={<OptimizerTooltip />} />
+              <Legend />
+              <ReferenceLine
+                yAxisId="value"
+                x={stockAllocation}
+                stroke="#999"
+                strokeDasharray="4 4"
+                label={{ value: 'Nå', position: 'top', fontSize: 11, fill: '#666' }}
+              />
+              {recommendation && (
+                <ReferenceLine
+                  yAxisId="value"
+                  x={recommendation.allocation}
+                  stroke="#1E7B45"
+                  label={{ value: 'Anbefalt', position: 'top', fontSize: 11, fill: '#1E7B45' }}
+                />
+              )}
+              {objective === 'floor' && (
+                <ReferenceLine yAxisId="value" y={minP5} stroke="#E88A92" strokeDasharray="4 4" />
+              )}
+              <Line yAxisId="value" type="monotone" dataKey="median" name="Median" stroke="#4A90E2" strokeWidth={2} />
+              <Line yAxisId="value" type="monotone" dataKey="mean" name="Gjennomsnitt" stroke="#6FA8DC" strokeDasharray="5 3" dot={false} />
+              <Line yAxisId="value" type="monotone" dataKey="p5" name="5. persentil" stroke="#B02A37" strokeWidth={2} />
+              <Line
+                yAxisId="probability"
+                type="monotone"
+                dataKey="probabilityStockWins"
+                name="Slår boliglånet"
+                stroke="#50C878"
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <p className="optimizer-note">
+            Faste andeler uten allokeringsregel, simulert på de samme banene. Nytten regnes av formuen
+            ved horisonten: dagens nettoformue ({Statistics.formatNOK(optimizer.baseWealth, true)}) pluss utfallet.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,129 @@
+import React from 'react';
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import { Statistics } from '../utils/statistics';
+import './BacktestChart.css';
+
+const BacktestTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const d = payload[0].payload;
+    return (
+      <div className="backtest-tooltip">
+        <p className="tooltip-title">{d.startYear}–{d.endYear}</p>
+        <p className="tooltip-row stock">Aksjestrategi: {Statistics.formatNOK(d.stock, true)}</p>
+        <p className="tooltip-row mortgage">100% boliglån: {Statistics.formatNOK(d.mortgage, true)}</p>
+        <p className="tooltip-row">
+          Forskjell: {d.difference >= 0 ? '+' : ''}{Statistics.formatNOK(d.difference, true)}
+        </p>
+        {d.events.map(event => (
+          <p className="tooltip-row event" key={event}>{event}</p>
+        ))}
+      </div>
+    );
+  }
+  return null;
+};
+
+/**
+ * BacktestChart Component
+ * Outcome of the chosen strategy against full mortgage paydown in every
+ * actual historical window, labelled by start year, with the best and
+ * worst windows for stocks highlighted
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.backtest - { windows, best, worst, shareStockWins }
+ * @param {number} props.stockAllocation - Stock allocation (0-100)
+ * @param {string} props.valueMode - 'nominal' or 'real'
+ */
+export const BacktestChart = ({ backtest, stockAllocation, valueMode = 'nominal' }) => {
+  if (!backtest) {
+    return null;
+  }
+
+  const { windows, best, worst, shareStockWins } = backtest;
+  const isMobile = typeof window !== 'undefined' && window.innerWidth < 768;
+  const currencyLabel = valueMode === 'real' ? 'dagens kroner' : 'NOK';
+
+  const barColor = (entry) => {
+    if (entry.startYear === best.startYear) {
+      return '#1E7B45';
+    }
+    if (entry.startYear === worst.startYear) {
+      return '#B02A37';
+    }
+    return entry.difference >= 0 ? '#4A90E2' : '#E88A92';
+  };
+
+  const formatWindow = ({ startYear, endYear, difference }) =>
+    `${startYear}–${endYear} (${difference >= 0 ? '+' : ''}${Statistics.formatNOK(difference, true)})`;
+
+  return (
+    <div className="backtest-container">
+      <h3 className="backtest-title">Historisk backtest</h3>
+      <p className="backtest-subtitle">
+        {stockAllocation}% aksjer mot 100% nedbetaling i hvert faktiske {windows[0].endYear - windows[0].startYear + 1}-årsvindu.
+        Aksjestrategien vant i {Statistics.formatPercent(shareStockWins, 0)} av {windows.length} vinduer.
+      </p>
+
+      <div className="backtest-highlights">
+        <span className="backtest-highlight best">Beste: {formatWindow(best)}</span>
+        <span className="backtest-highlight worst">Verste: {formatWindow(worst)}</span>
+      </div>
+
+      <ResponsiveContainer width="100%" height={isMobile ? 260 : 320}>
+        <BarChart
+          data={windows}
+          margin={
+            isMobile
+              ? { top: 10, right: 5, left: 5, bottom: 5 }
+              : { top: 10, right: 30, left: 20, bottom: 5 }
+          }
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+          <XAxis
+            dataKey="startYear"
+            tick={{ fontSize: isMobile ? 9 : 11 }}
+            label={{
+              value: 'Startår',
+              position: 'insideBottom',
+              offset: -2,
+              style: { fontWeight: 'bold', fontSize: isMobile ? 10 : 12 }
+            }}
+          />
+          <YAxis
+            tickFormatter={(value) => Statistics.formatNOK(value, true)}
+            tick={{ fontSize: isMobile ? 9 : 11 }}
+            width={isMobile ? 55 : 70}
+            label={{
+              value: `Aksjer minus boliglån (${currencyLabel})`,
+              angle: -90,
+              position: 'insideLeft',
+              offset: isMobile ? 5 : 10,
+              style: { fontWeight: 'bold', fontSize: isMobile ? 9 : 11 }
+            }}
+          />
+          <Tooltip content={<BacktestTooltip />} />
+          <ReferenceLine y={0} stroke="#666" />
+          <Bar dataKey="difference">
+            {windows.map(entry => (
+              <Cell key={entry.startYear} fill={barColor(entry)} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+
+      <p className="backtest-note">
+        Faktisk avkastning og inflasjon for periodene; boliglånsrenten holdes på dagens nivå.
+      </p>
+    </div>
+  );
+};
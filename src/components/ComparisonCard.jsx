@@ -2,15 +2,81 @@ import React from 'react';
 import { Statistics } from '../utils/statistics';
 import './ComparisonCard.css';
 
+const SAMPLING_LABELS = {
+  iid: 'uavhengige år',
+  block: 'blokk-bootstrap',
+  stationary: 'stasjonær bootstrap',
+  regime: 'bull/bear-regimemodell'
+};
+
+const ACCOUNT_LABELS = {
+  ordinary: 'Ordinær konto',
+  ask: 'Aksjesparekonto',
+  split: 'Fordelt'
+};
+
+const ALLOCATION_LABELS = {
+  rule: 'Valgt regel',
+  fixed: 'Fast andel',
+  allStocks: 'Alt i aksjer',
+  allMortgage: 'Alt til nedbetaling'
+};
+
+const STOP_REASON_LABELS = {
+  precision: 'presisjonen er nådd',
+  maxSimulations: 'maksimalt antall baner',
+  timeLimit: 'tidsgrensen er nådd'
+};
+
+const RETURN_MODEL_LABELS = {
+  normal: 'normalfordeling',
+  lognormal: 'lognormalfordeling',
+  studentT: 'Student-t-fordeling'
+};
+
 export const ComparisonCard = ({
   stockStats,
   mortgageStats,
   comparison,
-  stockAllocation
+  loanSummary,
+  taxSummary,
+  costSummary,
+  accountSummary,
+  lumpSumSummary,
+  allocationSummary,
+  shockSummary,
+  reborrow = false,
+  accountType = 'ordinary',
+  askShare,
+  wealthTax = false,
+  annualizedReturns,
+  valueMode = 'nominal',
+  stockAllocation,
+  samplingMethod = 'iid',
+  blockLength,
+  returnModel = 'historical',
+  seed,
+  precision
 }) => {
   const probabilityStockWins = comparison.probabilityStockWins;
   const stockWinsPct = Statistics.formatPercent(probabilityStockWins, 1);
 
+  // Half the width of a value's 95% sampling interval, shown as ±
+  const renderError = (interval) => {
+    if (!interval) {
+      return null;
+    }
+    const halfWidth = (interval.upper - interval.lower) / 2;
+    return (
+      <span
+        className="value-error"
+        title={`95%-intervall: ${Statistics.formatNOK(interval.lower, true)} – ${Statistics.formatNOK(interval.upper, true)}`}
+      >
+        ±{Statistics.formatNOK(halfWidth, true)}
+      </span>
+    );
+  };
+
   const rows = [
     { label: '5. persentil', sublabel: 'Pessimistisk', key: 'p5' },
     { label: '25. persentil', sublabel: '', key: 'p25' },
@@ -20,6 +86,180 @@ export const ComparisonCard = ({
     { label: 'Gjennomsnitt', sublabel: 'Forventet verdi', key: 'mean', highlight: false },
   ];
 
+  let samplingLabel = SAMPLING_LABELS[samplingMethod];
+  if (returnModel !== 'historical') {
+    samplingLabel = RETURN_MODEL_LABELS[returnModel];
+  } else if (samplingMethod === 'block' || samplingMethod === 'stationary') {
+    samplingLabel = `${SAMPLING_LABELS[samplingMethod]}, ${blockLength} år`;
+  }
+
+  const formatYears = (months) => `${(months / 12).toFixed(1).replace('.', ',')} år`;
+
+  const loanRows = [
+    {
+      label: 'Spart rente',
+      sublabel: 'Frem til horisonten',
+      key: 'interestSaved',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: true
+    },
+    {
+      label: 'Lånet innfridd',
+      sublabel: loanSummary && `Uten ekstra: ${Statistics.formatMonthsFromNow(loanSummary.baselinePayoffMonth)}`,
+      key: 'payoffMonth',
+      format: (v) => Statistics.formatMonthsFromNow(v),
+      formatDiff: formatYears,
+      higherIsBetter: false
+    },
+    {
+      label: 'Restgjeld',
+      sublabel: 'Ved horisonten',
+      key: 'remainingBalance',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    {
+      label: 'Egenkapital i bolig',
+      sublabel: 'Ved horisonten',
+      key: 'homeEquity',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: true
+    }
+  ];
+
+  const taxRows = [
+    {
+      label: 'Aksjeskatt',
+      sublabel: 'Utbytte og gevinst ved salg',
+      key: 'capitalGains',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    {
+      label: 'Skjermingsfradrag brukt',
+      sublabel: 'Trukket fra gevinsten',
+      key: 'shieldingUsed',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: true
+    },
+    {
+      label: 'Tapt rentefradrag',
+      sublabel: 'Skatt på spart rente, med renter',
+      key: 'lostDeduction',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    wealthTax && {
+      label: 'Formuesskatt',
+      sublabel: 'Sum betalt over horisonten',
+      key: 'wealthTax',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    }
+  ].filter(Boolean);
+
+  const costRows = [
+    {
+      label: 'Kostnader betalt',
+      sublabel: 'Honorar, kurtasje og spread',
+      key: 'total',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    {
+      label: 'Kostnadsdrag på median',
+      sublabel: 'Mot samme fond uten kostnader',
+      key: 'medianDrag',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    }
+  ];
+
+  const shockRows = shockSummary && [
+    {
+      label: 'Tap ved sjokk (median)',
+      sublabel: `Sjokk i ${Statistics.formatPercent(shockSummary.probabilityOfShock, 0)} av scenariene`,
+      key: 'medianLoss',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    {
+      label: 'Tap ved sjokk (95. persentil)',
+      sublabel: 'De verste 5% av scenariene med sjokk',
+      key: 'p95Loss',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    {
+      label: 'Gevinstskatt ved tvangssalg',
+      sublabel: 'Median i scenariene med sjokk',
+      key: 'saleTax',
+      format: (v) => Statistics.formatNOK(v, true),
+      formatDiff: (v) => Statistics.formatNOK(v, true),
+      higherIsBetter: false
+    },
+    {
+      label: 'Salg etter et fallår',
+      sublabel: 'Aksjer solgt etter negativ avkastning',
+      key: 'probabilitySaleAfterDecline',
+      format: (v) => Statistics.formatPercent(v, 0),
+      formatDiff: (v) => Statistics.formatPercent(v, 0),
+      higherIsBetter: false
+    },
+    {
+      label: 'Forbrukslån nødvendig',
+      sublabel: reborrow ? 'Banken tillater ny belåning' : 'Uten ny belåning i boligen',
+      key: 'probabilityCredit',
+      format: (v) => Statistics.formatPercent(v, 0),
+      formatDiff: (v) => Statistics.formatPercent(v, 0),
+      higherIsBetter: false
+    }
+  ];
+
+  const renderDetailRow = (row, stockVal, mortgageVal) => {
+    const diff = stockVal - mortgageVal;
+    const better = row.higherIsBetter ? diff >= 0 : diff <= 0;
+
+    return (
+      <div className="grid-row" key={row.key}>
+        <div className="grid-cell label-cell">
+          <span className="row-label">{row.label}</span>
+          {row.sublabel && (
+            <span className="row-sublabel">{row.sublabel}</span>
+          )}
+        </div>
+        <div className="grid-cell stock-cell">
+          {row.format(stockVal)}
+        </div>
+        <div className="grid-cell mortgage-cell">
+          {row.format(mortgageVal)}
+        </div>
+        <div
+          className="grid-cell diff-cell"
+          style={{ color: better ? '#28a745' : '#dc3545' }}
+        >
+          {diff > 0 ? '+' : ''}{row.formatDiff(diff)}
+        </div>
+      </div>
+    );
+  };
+
+  const returnRows = [
+    { label: 'Nominell', sublabel: 'Før inflasjon', key: 'nominal' },
+    { label: 'Reell', sublabel: 'Etter inflasjon', key: 'real' }
+  ];
+
   return (
     <div className="comparison-card">
       <div className="comparison-header">
@@ -28,6 +268,22 @@ export const ComparisonCard = ({
           <span className="probability-label">
             sjanse for at aksjer slår ren boliglånsnedbetaling
           </span>
+          {precision && (
+            <span className="sampling-label">
+              95%-intervall {Statistics.formatPercent(precision.probabilityStockWins.lower, 1)}–
+              {Statistics.formatPercent(precision.probabilityStockWins.upper, 1)}
+              {' '}· {precision.numSimulations.toLocaleString('no-NO')} baner
+              {precision.adaptive && (precision.adaptive.stopReason
+                ? ` (stoppet: ${STOP_REASON_LABELS[precision.adaptive.stopReason]})`
+                : ' (legger til flere baner …)')}
+            </span>
+          )}
+          <span className="sampling-label">
+            Trekkmetode: {samplingLabel}{seed !== undefined && ` · Seed ${seed}`}
+          </span>
+          <span className="sampling-label">
+            {valueMode === 'real' ? 'Beløp i dagens kroner (justert for inflasjon)' : 'Beløp i nominelle kroner'}
+          </span>
         </div>
       </div>
 
@@ -63,9 +319,11 @@ export const ComparisonCard = ({
               </div>
               <div className="grid-cell stock-cell">
                 {Statistics.formatNOK(stockVal, true)}
+                {renderError(precision?.stock[row.key])}
               </div>
               <div className="grid-cell mortgage-cell">
                 {Statistics.formatNOK(mortgageVal, true)}
+                {renderError(precision?.mortgage[row.key])}
               </div>
               <div
                 className="grid-cell diff-cell"
@@ -78,6 +336,214 @@ export const ComparisonCard = ({
         })}
       </div>
 
+      {loanSummary && (
+        <div className="comparison-grid loan-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Boliglån (median)</div>
+            <div className="grid-cell stock-header">
+              {stockAllocation}% Aksjer
+            </div>
+            <div className="grid-cell mortgage-header">
+              100% Boliglån
+            </div>
+            <div className="grid-cell diff-header">
+              Forskjell
+            </div>
+          </div>
+
+          {loanRows.map(row => renderDetailRow(
+            row,
+            loanSummary.stock[row.key],
+            loanSummary.mortgage[row.key]
+          ))}
+        </div>
+      )}
+
+      {taxSummary && (
+        <div className="comparison-grid tax-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Skatt og kostnader (median)</div>
+            <div className="grid-cell stock-header">
+              {stockAllocation}% Aksjer
+            </div>
+            <div className="grid-cell mortgage-header">
+              100% Boliglån
+            </div>
+            <div className="grid-cell diff-header">
+              Forskjell
+            </div>
+          </div>
+
+          {taxRows.map(row => renderDetailRow(
+            row,
+            taxSummary.stock[row.key],
+            taxSummary.mortgage[row.key]
+          ))}
+          {costSummary && costRows.map(row => renderDetailRow(row, costSummary[row.key], 0))}
+        </div>
+      )}
+
+      {accountSummary && (
+        <div className="comparison-grid account-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Kontotype (median etter salg)</div>
+            <div className="grid-cell">Aksjer etter skatt</div>
+            <div className="grid-cell">Skatt</div>
+            <div className="grid-cell">Mot ordinær</div>
+          </div>
+
+          {Object.keys(ACCOUNT_LABELS).map(type => {
+            const { value, tax, difference } = accountSummary[type];
+
+            return (
+              <div
+                className={`grid-row ${type === accountType ? 'grid-row-highlight' : ''}`}
+                key={type}
+              >
+                <div className="grid-cell label-cell">
+                  <span className="row-label">{ACCOUNT_LABELS[type]}</span>
+                  {type === 'split' && (
+                    <span className="row-sublabel">{askShare}% ASK</span>
+                  )}
+                </div>
+                <div className="grid-cell">
+                  {Statistics.formatNOK(value, true)}
+                </div>
+                <div className="grid-cell">
+                  {Statistics.formatNOK(tax, true)}
+                </div>
+                <div
+                  className="grid-cell diff-cell"
+                  style={{ color: difference >= 0 ? '#28a745' : '#dc3545' }}
+                >
+                  {difference >= 0 ? '+' : ''}{Statistics.formatNOK(difference, true)}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {shockSummary && (
+        <div className="comparison-grid shock-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Likviditetssjokk</div>
+            <div className="grid-cell stock-header">
+              {stockAllocation}% Aksjer
+            </div>
+            <div className="grid-cell mortgage-header">
+              100% Boliglån
+            </div>
+            <div className="grid-cell diff-header">
+              Forskjell
+            </div>
+          </div>
+
+          {shockRows.map(row => renderDetailRow(
+            row,
+            shockSummary.stock[row.key],
+            shockSummary.mortgage[row.key]
+          ))}
+        </div>
+      )}
+
+      {lumpSumSummary && (
+        <div className="comparison-grid lump-sum-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Engangsbeløp (median)</div>
+            <div className="grid-cell">Investere nå</div>
+            <div className="grid-cell">Nedbetale nå</div>
+            <div className="grid-cell">Forskjell</div>
+          </div>
+
+          <div className="grid-row">
+            <div className="grid-cell label-cell">
+              <span className="row-label">Aksjestrategien etter skatt</span>
+              <span className="row-sublabel">
+                Investering best i {Statistics.formatPercent(lumpSumSummary.probabilityInvestWins, 1)} av scenariene
+              </span>
+            </div>
+            <div className="grid-cell">
+              {Statistics.formatNOK(lumpSumSummary.invest, true)}
+            </div>
+            <div className="grid-cell">
+              {Statistics.formatNOK(lumpSumSummary.paydown, true)}
+            </div>
+            <div
+              className="grid-cell diff-cell"
+              style={{ color: lumpSumSummary.difference >= 0 ? '#28a745' : '#dc3545' }}
+            >
+              {lumpSumSummary.difference >= 0 ? '+' : ''}{Statistics.formatNOK(lumpSumSummary.difference, true)}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {allocationSummary && (
+        <div className="comparison-grid allocation-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Allokering (aksjestrategien)</div>
+            <div className="grid-cell">Median</div>
+            <div className="grid-cell">5. persentil</div>
+            <div className="grid-cell">Regelen best</div>
+          </div>
+
+          {Object.keys(ALLOCATION_LABELS).map(name => {
+            const { p5, p50, averageAllocation, probabilityRuleWins } = allocationSummary[name];
+
+            return (
+              <div
+                className={`grid-row ${name === 'rule' ? 'grid-row-highlight' : ''}`}
+                key={name}
+              >
+                <div className="grid-cell label-cell">
+                  <span className="row-label">
+                    {name === 'fixed' ? `${ALLOCATION_LABELS[name]} ${stockAllocation}%` : ALLOCATION_LABELS[name]}
+                  </span>
+                  <span className="row-sublabel">
+                    Snitt {Statistics.formatPercent(averageAllocation, 0)} aksjer
+                  </span>
+                </div>
+                <div className="grid-cell">
+                  {Statistics.formatNOK(p50, true)}
+                </div>
+                <div className="grid-cell">
+                  {Statistics.formatNOK(p5, true)}
+                </div>
+                <div className="grid-cell">
+                  {name === 'rule' ? '–' : Statistics.formatPercent(probabilityRuleWins, 0)}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {annualizedReturns && (
+        <div className="comparison-grid returns-grid">
+          <div className="grid-header">
+            <div className="grid-cell label-cell">Årlig aksjeavkastning</div>
+            <div className="grid-cell">5. persentil</div>
+            <div className="grid-cell">Median</div>
+            <div className="grid-cell">95. persentil</div>
+          </div>
+
+          {returnRows.map(row => (
+            <div className="grid-row" key={row.key}>
+              <div className="grid-cell label-cell">
+                <span className="row-label">{row.label}</span>
+                <span className="row-sublabel">{row.sublabel}</span>
+              </div>
+              {['p5', 'p50', 'p95'].map(key => (
+                <div className="grid-cell" key={key}>
+                  {Statistics.formatPercent(annualizedReturns[row.key][key], 1)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="comparison-disclaimer">
         <strong>Viktig:</strong> Dette er et beslutningsverktøy basert på historiske data, ikke finansiell rådgivning.
         Tidligere resultater garanterer ikke fremtidige resultater.
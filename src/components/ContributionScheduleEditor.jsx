@@ -0,0 +1,119 @@
+import React from 'react';
+import './ContributionScheduleEditor.css';
+
+const EVENT_LABELS = {
+  pause: 'Pause',
+  change: 'Nytt månedsbeløp',
+  deposit: 'Engangsinnskudd'
+};
+
+const NEW_EVENT = { type: 'deposit', year: 1, month: 1, amount: 50000, months: 12 };
+
+/**
+ * ContributionScheduleEditor Component
+ * Edits the dated contribution events: pauses, changes of the monthly
+ * amount and one-off deposits
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.events - { type, year, month, amount, months }
+ * @param {number} props.timeHorizon - Horizon in years (latest event year)
+ * @param {Function} props.onChange - Called with the new event list
+ */
+export const ContributionScheduleEditor = ({ events, timeHorizon, onChange }) => {
+  const updateEvent = (index, changes) => {
+    onChange(events.map((event, i) => (i === index ? { ...event, ...changes } : event)));
+  };
+
+  const removeEvent = (index) => {
+    onChange(events.filter((_, i) => i !== index));
+  };
+
+  const addEvent = () => {
+    onChange([...events, { ...NEW_EVENT }]);
+  };
+
+  return (
+    <div className="schedule-editor">
+      {events.map((event, index) => (
+        <div className="schedule-event" key={index}>
+          <select
+            value={event.type}
+            onChange={(e) => updateEvent(index, { type: e.target.value })}
+            className="input-field select-field"
+            aria-label="Type hendelse"
+          >
+            {Object.entries(EVENT_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+
+          <label className="schedule-field">
+            <span>År</span>
+            <input
+              type="number"
+              min="1"
+              max={timeHorizon}
+              step="1"
+              value={event.year}
+              onChange={(e) => updateEvent(index, { year: Number(e.target.value) })}
+              className="input-field"
+            />
+          </label>
+
+          <label className="schedule-field">
+            <span>Måned</span>
+            <input
+              type="number"
+              min="1"
+              max="12"
+              step="1"
+              value={event.month}
+              onChange={(e) => updateEvent(index, { month: Number(e.target.value) })}
+              className="input-field"
+            />
+          </label>
+
+          {event.type === 'pause' ? (
+            <label className="schedule-field">
+              <span>Måneder</span>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                step="1"
+                value={event.months}
+                onChange={(e) => updateEvent(index, { months: Number(e.target.value) })}
+                className="input-field"
+              />
+            </label>
+          ) : (
+            <label className="schedule-field">
+              <span>Beløp (NOK)</span>
+              <input
+                type="number"
+                min="0"
+                step="1000"
+                value={event.amount}
+                onChange={(e) => updateEvent(index, { amount: Number(e.target.value) })}
+                className="input-field"
+              />
+            </label>
+          )}
+
+          <button
+            type="button"
+            className="schedule-remove"
+            onClick={() => removeEvent(index)}
+            aria-label="Fjern hendelse"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <button type="button" className="schedule-add" onClick={addEvent}>
+        + Legg til hendelse
+      </button>
+    </div>
+  );
+};
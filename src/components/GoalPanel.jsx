@@ -0,0 +1,223 @@
+import React, { useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { Statistics } from '../utils/statistics';
+import './GoalPanel.css';
+
+const GOAL_TYPES = [
+  { value: 'none', label: 'Ingen mål' },
+  { value: 'debtFree', label: 'Gjeldfri innen en alder' },
+  { value: 'netWorth', label: 'Nettoformue innen et antall år' }
+];
+
+const LINE_COLORS = ['#50C878', '#7FB77E', '#9B9B9B', '#6FA8DC', '#4A90E2'];
+
+/**
+ * GoalPanel Component
+ * Goal mode: the user sets a goal (debt-free by an age, or a net worth
+ * target by a year) and sees, for each fixed allocation, how likely it is
+ * to be reached by the deadline and when it is reached
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.goalType - 'none', 'debtFree' or 'netWorth'
+ * @param {number} props.currentAge - Age today (debt-free goal)
+ * @param {number} props.targetAge - Age to be debt-free by
+ * @param {number} props.goalYears - Deadline in years (net worth goal)
+ * @param {number} props.goalAmount - Net worth target (NOK)
+ * @param {Object|null} props.goalAnalysis - Output of GoalAnalysis.analyzeAllocations
+ * @param {string} props.valueMode - 'nominal' or 'real'
+ */
+export const GoalPanel = ({
+  goalType,
+  currentAge,
+  targetAge,
+  goalYears,
+  goalAmount,
+  goalAnalysis,
+  valueMode = 'nominal',
+  onGoalTypeChange,
+  onCurrentAgeChange,
+  onTargetAgeChange,
+  onGoalYearsChange,
+  onGoalAmountChange
+}) => {
+  const isDebtFree = goalType === 'debtFree';
+
+  // Year (or age) to show for a number of years from today
+  const formatWhen = (year) => (isDebtFree ? `${currentAge + year} år` : `år ${year}`);
+
+  // One row per year with the cumulative probability for each allocation
+  const chartData = useMemo(() => {
+    if (!goalAnalysis) {
+      return [];
+    }
+    return goalAnalysis.results[0].cumulative.map(({ year }) => {
+      const row = { year: isDebtFree ? currentAge + year : year };
+      for (const result of goalAnalysis.results) {
+        row[`a${result.allocation}`] = result.cumulative[year].probability;
+      }
+      return row;
+    });
+  }, [goalAnalysis, isDebtFree, currentAge]);
+
+  return (
+    <div className="goal-panel">
+      <h3 className="goal-title">Mål</h3>
+
+      <div className="goal-inputs">
+        <label className="goal-field">
+          <span>Mål</span>
+          <select
+            value={goalType}
+            onChange={(e) => onGoalTypeChange(e.target.value)}
+            className="input-field select-field"
+          >
+            {GOAL_TYPES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {isDebtFree && (
+          <>
+            <label className="goal-field">
+              <span>Alder i dag</span>
+              <input
+                type="number"
+                min="18"
+                max="90"
+                step="1"
+                value={currentAge}
+                onChange={(e) => onCurrentAgeChange(Number(e.target.value))}
+                className="input-field"
+              />
+            </label>
+            <label className="goal-field">
+              <span>Gjeldfri ved alder</span>
+              <input
+                type="number"
+                min={currentAge + 1}
+                max="100"
+                step="1"
+                value={targetAge}
+                onChange={(e) => onTargetAgeChange(Number(e.target.value))}
+                className="input-field"
+              />
+            </label>
+          </>
+        )}
+
+        {goalType === 'netWorth' && (
+          <>
+            <label className="goal-field">
+              <span>Nettoformue ({valueMode === 'real' ? 'dagens kroner' : 'NOK'})</span>
+              <input
+                type="number"
+                min="0"
+                step="100000"
+                value={goalAmount}
+                onChange={(e) => onGoalAmountChange(Number(e.target.value))}
+                className="input-field"
+              />
+            </label>
+            <label className="goal-field">
+              <span>Innen (år)</span>
+              <input
+                type="number"
+                min="1"
+                max="40"
+                step="1"
+                value={goalYears}
+                onChange={(e) => onGoalYearsChange(Number(e.target.value))}
+                className="input-field"
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      {goalType !== 'none' && !goalAnalysis && (
+        <p className="goal-note">Målet må ligge minst ett år frem i tid.</p>
+      )}
+
+      {goalAnalysis && (
+        <>
+          <p className="goal-note">
+            {isDebtFree
+              ? 'Gjeldfri: aksjene, solgt etter gevinstskatt, dekker restgjelden.'
+              : 'Nettoformue: boligverdi minus restgjeld pluss aksjene etter gevinstskatt.'}
+            {' '}Hver andel aksjer er fast og simulert frem til fristen på de samme banene.
+          </p>
+
+          <table className="goal-table">
+            <thead>
+              <tr>
+                <th>Andel aksjer</th>
+                <th>Sannsynlighet</th>
+                <th>Nås tidligst (5%)</th>
+                <th>Nås (median)</th>
+                <th>Nås senest (95%)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {goalAnalysis.results.map(({ allocation, probability, reachedYears }) => (
+                <tr key={allocation}>
+                  <td>{allocation}%</td>
+                  <td className="goal-probability">{Statistics.formatPercent(probability, 0)}</td>
+                  <td>{reachedYears ? formatWhen(reachedYears.p5) : '–'}</td>
+                  <td>{reachedYears ? formatWhen(reachedYears.p50) : '–'}</td>
+                  <td>{reachedYears ? formatWhen(reachedYears.p95) : '–'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              <XAxis
+                dataKey="year"
+                tick={{ fontSize: 12 }}
+                label={{
+                  value: isDebtFree ? 'Alder' : 'År',
+                  position: 'insideBottom',
+                  offset: -2,
+                  style: { fontWeight: 'bold', fontSize: 12 }
+                }}
+              />
+              <YAxis
+                domain={[0, 1]}
+                tickFormatter={(value) => Statistics.formatPercent(value, 0)}
+                tick={{ fontSize: 11 }}
+              />
+              <Tooltip
+                formatter={(value) => Statistics.formatPercent(value, 0)}
+                labelFormatter={(label) => (isDebtFree ? `Alder ${label}` : `År ${label}`)}
+              />
+              <Legend />
+              {goalAnalysis.results.map(({ allocation }, index) => (
+                <Line
+                  key={allocation}
+                  type="monotone"
+                  dataKey={`a${allocation}`}
+                  name={`${allocation}% aksjer`}
+                  stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+};
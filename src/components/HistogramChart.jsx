@@ -17,13 +17,14 @@ import { Statistics } from '../utils/statistics';
  * HistogramChart Component
  * Displays a histogram of Monte Carlo simulation results with percentile markers
  *
- * @param {Array<number>} data - Raw simulation results (10,000 values)
+ * @param {Array<number>} data - Raw simulation results (one value per path)
  * @param {string} title - Chart title
  * @param {Object} percentiles - Percentile values {p5, p50, p95}
  * @param {number} mortgageMedian - Median mortgage scenario value (shown as red line)
  * @param {number} stockAllocation - Stock allocation percentage (0-100)
  * @param {number} monthlyInvestment - Monthly investment amount
  * @param {number} timeHorizon - Time horizon in years
+ * @param {string} valueMode - 'nominal' | 'real' (today's kroner)
  * @param {string} color - Bar color
  */
 export const HistogramChart = ({
@@ -34,6 +35,7 @@ export const HistogramChart = ({
   stockAllocation,
   monthlyInvestment,
   timeHorizon,
+  valueMode = 'nominal',
   color = '#8884d8'
 }) => {
   // Memoize binned data to prevent recalculation on re-renders
@@ -167,7 +169,7 @@ export const HistogramChart = ({
             tick={{ fontSize: window.innerWidth < 768 ? 9 : 11 }}
             ticks={ticks}
             label={{
-              value: 'Nettoformue (NOK)',
+              value: valueMode === 'real' ? 'Nettoformue (dagens kroner)' : 'Nettoformue (NOK)',
               position: 'insideBottom',
               offset: window.innerWidth < 768 ? -50 : -60,
               style: { fontWeight: 'bold', fontSize: window.innerWidth < 768 ? 10 : 12 }
@@ -199,8 +201,8 @@ export const HistogramChart = ({
               }}>
                 {stockAllocation > 0
                   ? (window.innerWidth < 480
-                    ? '10 000 simuleringer'
-                    : 'Hver søyle representerer utfall fra 10 000 simuleringer')
+                    ? `${data.length.toLocaleString('no-NO')} simuleringer`
+                    : `Hver søyle representerer utfall fra ${data.length.toLocaleString('no-NO')} simuleringer`)
                   : 'Kun nedbetaling av boliglån'}
               </div>
             )}
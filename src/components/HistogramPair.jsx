@@ -14,6 +14,7 @@ import { Statistics } from '../utils/statistics';
  * @param {number} stockAllocation - Current stock allocation percentage (0-100)
  * @param {number} monthlyInvestment - Monthly investment amount
  * @param {number} timeHorizon - Time horizon in years
+ * @param {string} valueMode - 'nominal' | 'real' (today's kroner)
  */
 export const HistogramPair = ({
   stockData,
@@ -22,7 +23,8 @@ export const HistogramPair = ({
   mortgagePercentiles,
   stockAllocation,
   monthlyInvestment,
-  timeHorizon
+  timeHorizon,
+  valueMode
 }) => {
   // Calculate median for mortgage scenario
   const mortgageMedian = mortgagePercentiles.p50;
@@ -39,6 +41,7 @@ export const HistogramPair = ({
             stockAllocation={stockAllocation}
             monthlyInvestment={monthlyInvestment}
             timeHorizon={timeHorizon}
+            valueMode={valueMode}
             color="#4A90E2"
           />
         </div>
@@ -1,7 +1,55 @@
 import React, { useState } from 'react';
 import { useDebounce } from '../hooks/useDebounce';
+import { Statistics } from '../utils/statistics';
+import { ContributionScheduleEditor } from './ContributionScheduleEditor';
 import './InputPanel.css';
 
+// Typical ongoing fees (TER) for the fund types users compare
+const FUND_FEE_PRESETS = [
+  { fee: 0.2, label: 'Indeksfond (0,2%)' },
+  { fee: 0.5, label: 'Nordisk indeksfond (0,5%)' },
+  { fee: 1.5, label: 'Aktivt nordisk fond (1,5%)' }
+];
+
+const ALLOCATION_RULES = [
+  { value: 'fixed', label: 'Fast andel hvert år', hint: 'Samme andel til aksjer hele perioden' },
+  {
+    value: 'glidePath',
+    label: 'Glidebane 80% → 20%',
+    hint: '80% aksjer, glir ned til 20% de siste fem årene'
+  },
+  {
+    value: 'drawdownSwitch',
+    label: 'Alt til lånet ved kursfall',
+    hint: 'Valgt andel, men alt til lånet når porteføljen er over 20% under toppen'
+  },
+  {
+    value: 'protectedGlidePath',
+    label: 'Glidebane med kursfallsregel',
+    hint: 'Glidebane 80% → 20%, og alt til lånet ved kursfall over 20%'
+  }
+];
+
+const SIMULATION_COUNTS = [
+  { value: 1000, label: '1 000 (rask forhåndsvisning)' },
+  { value: 2000, label: '2 000' },
+  { value: 10000, label: '10 000' },
+  { value: 25000, label: '25 000' }
+];
+
+const PRECISION_TARGETS = [
+  { value: 2, label: '±2 prosentpoeng' },
+  { value: 1, label: '±1 prosentpoeng' },
+  { value: 0.5, label: '±0,5 prosentpoeng' }
+];
+
+const PORTFOLIO_ASSETS = [
+  { id: 'nordic', label: 'MSCI Nordic' },
+  { id: 'global', label: 'Globalt (MSCI World)' },
+  { id: 'osebx', label: 'Oslo Børs (OSEBX)' },
+  { id: 'money_market', label: 'Pengemarked' }
+];
+
 /**
  * InputPanel Component
  * Contains all user input controls for the simulation
@@ -13,10 +61,107 @@ export const InputPanel = ({
   timeHorizon,
   mortgageRate,
   stockAllocation,
+  contributionTiming,
+  loanBalance,
+  loanTermYears,
+  loanType,
+  homeValue,
+  rateModel,
+  longRunRate,
+  rateVolatility,
+  rateEquityCorrelation,
+  samplingMethod,
+  blockLength,
+  returnModel,
+  parameterSource,
+  expectedReturn,
+  returnVolatility,
+  degreesOfFreedom,
+  inflationModel,
+  inflationRate,
+  shieldingRate,
+  interestDeductionRate,
+  accountType,
+  askShare,
+  dividendYield,
+  wealthTax,
+  otherNetWealth,
+  annualFee,
+  purchaseFee,
+  transactionCost,
+  currencyMode,
+  hedgeCarry,
+  portfolioWeights,
+  lumpSum,
+  existingPortfolio,
+  existingCostBasis,
+  contributionGrowth,
+  contributionEvents,
+  allocationRule,
+  shockProbability,
+  shockAmount,
+  emergencyCost,
+  emergencyYear,
+  reborrow,
+  creditRate,
+  seed,
+  simulationMode,
+  numSimulations,
+  targetPrecision,
+  maxSeconds,
+  datasetStatistics,
   onMonthlyInvestmentChange,
   onTimeHorizonChange,
   onMortgageRateChange,
-  onStockAllocationChange
+  onStockAllocationChange,
+  onContributionTimingChange,
+  onLoanBalanceChange,
+  onLoanTermYearsChange,
+  onLoanTypeChange,
+  onHomeValueChange,
+  onRateModelChange,
+  onLongRunRateChange,
+  onRateVolatilityChange,
+  onRateEquityCorrelationChange,
+  onSamplingMethodChange,
+  onBlockLengthChange,
+  onReturnModelChange,
+  onParameterSourceChange,
+  onExpectedReturnChange,
+  onReturnVolatilityChange,
+  onDegreesOfFreedomChange,
+  onInflationModelChange,
+  onInflationRateChange,
+  onShieldingRateChange,
+  onInterestDeductionRateChange,
+  onAccountTypeChange,
+  onAskShareChange,
+  onDividendYieldChange,
+  onWealthTaxChange,
+  onOtherNetWealthChange,
+  onAnnualFeeChange,
+  onPurchaseFeeChange,
+  onTransactionCostChange,
+  onCurrencyModeChange,
+  onHedgeCarryChange,
+  onPortfolioWeightsChange,
+  onLumpSumChange,
+  onExistingPortfolioChange,
+  onExistingCostBasisChange,
+  onContributionGrowthChange,
+  onContributionEventsChange,
+  onAllocationRuleChange,
+  onShockProbabilityChange,
+  onShockAmountChange,
+  onEmergencyCostChange,
+  onEmergencyYearChange,
+  onReborrowChange,
+  onCreditRateChange,
+  onSeedChange,
+  onSimulationModeChange,
+  onNumSimulationsChange,
+  onTargetPrecisionChange,
+  onMaxSecondsChange
 }) => {
   // Local state for slider to ensure smooth UI
   const [sliderValue, setSliderValue] = useState(stockAllocation);
@@ -29,6 +174,10 @@ export const InputPanel = ({
     onStockAllocationChange(debouncedSliderValue);
   }, [debouncedSliderValue, onStockAllocationChange]);
 
+  const hasShocks = (shockProbability > 0 && shockAmount > 0) || emergencyCost > 0;
+
+  const totalWeight = PORTFOLIO_ASSETS.reduce((sum, { id }) => sum + (portfolioWeights[id] || 0), 0);
+
   // Handle slider change (update local state immediately for smooth UI)
   const handleSliderChange = (e) => {
     setSliderValue(Number(e.target.value));
@@ -76,10 +225,43 @@ export const InputPanel = ({
           <span className="input-hint">Investerings-/nedbetalingsperiode</span>
         </div>
 
+        {/* Contribution Growth */}
+        <div className="input-group">
+          <label htmlFor="contribution-growth">
+            Årlig økning i månedsbeløp (%)
+          </label>
+          <input
+            id="contribution-growth"
+            type="number"
+            min="-10"
+            max="15"
+            step="0.5"
+            value={contributionGrowth}
+            onChange={(e) => onContributionGrowthChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">For eksempel lønnsvekst, fra og med år 2</span>
+        </div>
+
+        {/* Contribution Schedule */}
+        <div className="input-group input-group-wide">
+          <label>
+            Innskuddsplan
+          </label>
+          <ContributionScheduleEditor
+            events={contributionEvents}
+            timeHorizon={timeHorizon}
+            onChange={onContributionEventsChange}
+          />
+          <span className="input-hint">
+            Pauser (f.eks. foreldrepermisjon), nytt månedsbeløp eller engangsinnskudd. Gjelder begge strategier
+          </span>
+        </div>
+
         {/* Mortgage Interest Rate */}
         <div className="input-group">
           <label htmlFor="mortgage-rate">
-            Boliglånsrente (%)
+            Boliglånsrente i dag (%)
           </label>
           <input
             id="mortgage-rate"
@@ -91,8 +273,883 @@ export const InputPanel = ({
             onChange={(e) => onMortgageRateChange(Number(e.target.value))}
             className="input-field"
           />
-          <span className="input-hint">Forventet boliglånsrente</span>
+          <span className="input-hint">
+            {rateModel === 'fixed' ? 'Forventet boliglånsrente' : 'Startrente for år 1, deretter flytende'}
+          </span>
+        </div>
+
+        {/* Rate Model */}
+        <div className="input-group">
+          <label htmlFor="rate-model">
+            Rentemodell
+          </label>
+          <select
+            id="rate-model"
+            value={rateModel}
+            onChange={(e) => onRateModelChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="meanReverting">Flytende rente</option>
+            <option value="fixed">Fast rente</option>
+          </select>
+          <span className="input-hint">Flytende rente trekkes mot et langsiktig nivå</span>
+        </div>
+
+        {rateModel === 'meanReverting' && (
+          <>
+            {/* Long-run Rate */}
+            <div className="input-group">
+              <label htmlFor="long-run-rate">
+                Langsiktig rentenivå (%)
+              </label>
+              <input
+                id="long-run-rate"
+                type="number"
+                min="0"
+                max="15"
+                step="0.1"
+                value={longRunRate}
+                onChange={(e) => onLongRunRateChange(Number(e.target.value))}
+                className="input-field"
+              />
+              <span className="input-hint">Nivået renten trekkes mot over tid</span>
+            </div>
+
+            {/* Rate Volatility */}
+            <div className="input-group">
+              <label htmlFor="rate-volatility">
+                Rentevolatilitet (%-poeng per år)
+              </label>
+              <input
+                id="rate-volatility"
+                type="number"
+                min="0"
+                max="5"
+                step="0.05"
+                value={rateVolatility}
+                onChange={(e) => onRateVolatilityChange(Number(e.target.value))}
+                className="input-field"
+              />
+              <span className="input-hint">Standardavvik for årlig renteendring</span>
+            </div>
+
+            {/* Rate-Equity Correlation */}
+            <div className="input-group">
+              <label htmlFor="rate-correlation">
+                Korrelasjon med aksjer
+              </label>
+              <input
+                id="rate-correlation"
+                type="number"
+                min="-1"
+                max="1"
+                step="0.1"
+                value={rateEquityCorrelation}
+                onChange={(e) => onRateEquityCorrelationChange(Number(e.target.value))}
+                className="input-field"
+              />
+              <span className="input-hint">Positiv: renten stiger året etter et godt aksjeår</span>
+            </div>
+          </>
+        )}
+
+        {/* Contribution Timing */}
+        <div className="input-group">
+          <label htmlFor="contribution-timing">
+            Innskuddstidspunkt
+          </label>
+          <select
+            id="contribution-timing"
+            value={contributionTiming}
+            onChange={(e) => onContributionTimingChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="monthly">Månedlig</option>
+            <option value="annual">Årlig ved årets start (forenklet)</option>
+          </select>
+          <span className="input-hint">Når månedsbeløpet kommer inn i aksjeporteføljen</span>
+        </div>
+
+        {/* Lump Sum */}
+        <div className="input-group">
+          <label htmlFor="lump-sum">
+            Engangsbeløp i dag (NOK)
+          </label>
+          <input
+            id="lump-sum"
+            type="number"
+            min="0"
+            max="20000000"
+            step="50000"
+            value={lumpSum}
+            onChange={(e) => onLumpSumChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Bonus eller arv, fordeles som månedsbeløpet</span>
         </div>
+
+        {/* Existing Portfolio */}
+        <div className="input-group">
+          <label htmlFor="existing-portfolio">
+            Eksisterende portefølje (NOK)
+          </label>
+          <input
+            id="existing-portfolio"
+            type="number"
+            min="0"
+            max="50000000"
+            step="50000"
+            value={existingPortfolio}
+            onChange={(e) => onExistingPortfolioChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Markedsverdi i dag, beholdes i begge strategier</span>
+        </div>
+
+        {existingPortfolio > 0 && (
+          <div className="input-group">
+            <label htmlFor="existing-cost-basis">
+              Inngangsverdi (NOK)
+            </label>
+            <input
+              id="existing-cost-basis"
+              type="number"
+              min="0"
+              max="50000000"
+              step="50000"
+              value={existingCostBasis}
+              onChange={(e) => onExistingCostBasisChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <span className="input-hint">
+              Kjøpesum (innskudd på ASK). Urealisert gevinst:{' '}
+              {Statistics.formatNOK(existingPortfolio - existingCostBasis, true)}
+            </span>
+          </div>
+        )}
+
+        {/* Return Model */}
+        <div className="input-group">
+          <label htmlFor="return-model">
+            Avkastningsmodell
+          </label>
+          <select
+            id="return-model"
+            value={returnModel}
+            onChange={(e) => onReturnModelChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="historical">Historisk bootstrap</option>
+            <option value="normal">Normalfordeling</option>
+            <option value="lognormal">Lognormalfordeling</option>
+            <option value="studentT">Student-t (fete haler)</option>
+          </select>
+          <span className="input-hint">Historiske år eller en fordeling med valgte forutsetninger</span>
+        </div>
+
+        {returnModel === 'historical' ? (
+          <>
+            {/* Sampling Method */}
+            <div className="input-group">
+              <label htmlFor="sampling-method">
+                Trekkmetode for avkastning
+              </label>
+              <select
+                id="sampling-method"
+                value={samplingMethod}
+                onChange={(e) => onSamplingMethodChange(e.target.value)}
+                className="input-field select-field"
+              >
+                <option value="iid">Uavhengige år (i.i.d.)</option>
+                <option value="block">Blokk-bootstrap (fast lengde)</option>
+                <option value="stationary">Stasjonær bootstrap</option>
+                <option value="regime">Bull/bear-regimemodell</option>
+              </select>
+              <span className="input-hint">Blokker bevarer perioder med flere dårlige år på rad</span>
+            </div>
+
+            {(samplingMethod === 'block' || samplingMethod === 'stationary') && (
+              <div className="input-group">
+                <label htmlFor="block-length">
+                  {samplingMethod === 'block' ? 'Blokklengde (år)' : 'Gjennomsnittlig blokklengde (år)'}
+                </label>
+                <input
+                  id="block-length"
+                  type="number"
+                  min="1"
+                  max="15"
+                  step="1"
+                  value={blockLength}
+                  onChange={(e) => onBlockLengthChange(Number(e.target.value))}
+                  className="input-field"
+                />
+                <span className="input-hint">Antall påfølgende historiske år per blokk</span>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            {/* Parameter Source */}
+            <div className="input-group">
+              <label htmlFor="parameter-source">
+                Forutsetninger
+              </label>
+              <select
+                id="parameter-source"
+                value={parameterSource}
+                onChange={(e) => onParameterSourceChange(e.target.value)}
+                className="input-field select-field"
+              >
+                <option value="dataset">Fra historiske data</option>
+                <option value="custom">Egne forutsetninger</option>
+              </select>
+              <span className="input-hint">
+                {parameterSource === 'dataset'
+                  ? `Snitt ${(datasetStatistics.mean_return * 100).toFixed(1)}%, volatilitet ${(datasetStatistics.std_deviation * 100).toFixed(1)}%`
+                  : 'Forventet avkastning og volatilitet per år'}
+              </span>
+            </div>
+
+            {parameterSource === 'custom' && (
+              <>
+                {/* Expected Return */}
+                <div className="input-group">
+                  <label htmlFor="expected-return">
+                    Forventet avkastning (%)
+                  </label>
+                  <input
+                    id="expected-return"
+                    type="number"
+                    min="-10"
+                    max="20"
+                    step="0.5"
+                    value={expectedReturn}
+                    onChange={(e) => onExpectedReturnChange(Number(e.target.value))}
+                    className="input-field"
+                  />
+                  <span className="input-hint">Aritmetisk snitt per år</span>
+                </div>
+
+                {/* Volatility */}
+                <div className="input-group">
+                  <label htmlFor="return-volatility">
+                    Volatilitet (%)
+                  </label>
+                  <input
+                    id="return-volatility"
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="0.5"
+                    value={returnVolatility}
+                    onChange={(e) => onReturnVolatilityChange(Number(e.target.value))}
+                    className="input-field"
+                  />
+                  <span className="input-hint">Standardavvik for årlig avkastning</span>
+                </div>
+              </>
+            )}
+
+            {returnModel === 'studentT' && (
+              <div className="input-group">
+                <label htmlFor="degrees-of-freedom">
+                  Frihetsgrader
+                </label>
+                <input
+                  id="degrees-of-freedom"
+                  type="number"
+                  min="3"
+                  max="30"
+                  step="1"
+                  value={degreesOfFreedom}
+                  onChange={(e) => onDegreesOfFreedomChange(Number(e.target.value))}
+                  className="input-field"
+                />
+                <span className="input-hint">Lavere tall gir fetere haler</span>
+              </div>
+            )}
+          </>
+        )}
+
+        {(returnModel === 'historical' || parameterSource === 'dataset') && (
+          <>
+            {/* Portfolio Weights */}
+            <div className="input-group">
+              <label>
+                Aksjeportefølje (vekt %)
+              </label>
+              <div className="portfolio-grid">
+                {PORTFOLIO_ASSETS.map(({ id, label }) => (
+                  <label key={id} className="portfolio-weight">
+                    <span>{label}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="5"
+                      value={portfolioWeights[id]}
+                      onChange={(e) => onPortfolioWeightsChange({
+                        ...portfolioWeights,
+                        [id]: Number(e.target.value)
+                      })}
+                      className="input-field"
+                    />
+                  </label>
+                ))}
+              </div>
+              <span className="input-hint">
+                Sum {totalWeight}%{totalWeight !== 100 && ', skaleres til 100%'}. Alle aktiva trekkes fra samme år
+              </span>
+            </div>
+
+            {/* Currency Hedging */}
+            <div className="input-group">
+              <label htmlFor="currency-mode">
+                Valutasikring
+              </label>
+              <select
+                id="currency-mode"
+                value={currencyMode}
+                onChange={(e) => onCurrencyModeChange(e.target.value)}
+                className="input-field select-field"
+              >
+                <option value="unhedged">Usikret</option>
+                <option value="hedged">Valutasikret til NOK</option>
+              </select>
+              <span className="input-hint">
+                {currencyMode === 'hedged'
+                  ? 'Lokal avkastning pluss rentedifferanse'
+                  : 'Lokal avkastning pluss endring i EUR/NOK'}
+              </span>
+            </div>
+
+            {currencyMode === 'hedged' && (
+              <div className="input-group">
+                <label htmlFor="hedge-carry">
+                  Rentedifferanse (%)
+                </label>
+                <input
+                  id="hedge-carry"
+                  type="number"
+                  min="-3"
+                  max="5"
+                  step="0.25"
+                  value={hedgeCarry}
+                  onChange={(e) => onHedgeCarryChange(Number(e.target.value))}
+                  className="input-field"
+                />
+                <span className="input-hint">NOK-rente over utenlandsk rente per år</span>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Loan Balance */}
+        <div className="input-group">
+          <label htmlFor="loan-balance">
+            Restgjeld boliglån (NOK)
+          </label>
+          <input
+            id="loan-balance"
+            type="number"
+            min="0"
+            max="20000000"
+            step="100000"
+            value={loanBalance}
+            onChange={(e) => onLoanBalanceChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Utestående lån i dag</span>
+        </div>
+
+        {/* Remaining Term */}
+        <div className="input-group">
+          <label htmlFor="loan-term">
+            Gjenværende løpetid (år)
+          </label>
+          <input
+            id="loan-term"
+            type="number"
+            min="1"
+            max="40"
+            step="1"
+            value={loanTermYears}
+            onChange={(e) => onLoanTermYearsChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">År igjen av nedbetalingsplanen</span>
+        </div>
+
+        {/* Loan Type */}
+        <div className="input-group">
+          <label htmlFor="loan-type">
+            Lånetype
+          </label>
+          <select
+            id="loan-type"
+            value={loanType}
+            onChange={(e) => onLoanTypeChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="annuity">Annuitetslån</option>
+            <option value="serial">Serielån</option>
+          </select>
+          <span className="input-hint">Like terminbeløp eller like avdrag</span>
+        </div>
+
+        {/* Home Value */}
+        <div className="input-group">
+          <label htmlFor="home-value">
+            Boligverdi (NOK)
+          </label>
+          <input
+            id="home-value"
+            type="number"
+            min="0"
+            max="50000000"
+            step="100000"
+            value={homeValue}
+            onChange={(e) => onHomeValueChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Brukes til egenkapital i boligen (antas konstant)</span>
+        </div>
+
+        {/* Inflation Model */}
+        <div className="input-group">
+          <label htmlFor="inflation-model">
+            Inflasjon
+          </label>
+          <select
+            id="inflation-model"
+            value={inflationModel}
+            onChange={(e) => onInflationModelChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="historical">Historisk KPI (samme år som avkastningen)</option>
+            <option value="fixed">Fast inflasjon</option>
+          </select>
+          <span className="input-hint">
+            {inflationModel === 'historical'
+              ? `Snitt ${(datasetStatistics.mean_inflation * 100).toFixed(1)}% per år (SSB)`
+              : 'Brukes til å regne om til dagens kroner'}
+          </span>
+        </div>
+
+        {inflationModel === 'fixed' && (
+          <div className="input-group">
+            <label htmlFor="inflation-rate">
+              Inflasjon per år (%)
+            </label>
+            <input
+              id="inflation-rate"
+              type="number"
+              min="0"
+              max="10"
+              step="0.1"
+              value={inflationRate}
+              onChange={(e) => onInflationRateChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <span className="input-hint">Norges Banks mål er 2%</span>
+          </div>
+        )}
+
+        {/* Account Type */}
+        <div className="input-group">
+          <label htmlFor="account-type">
+            Kontotype for aksjer
+          </label>
+          <select
+            id="account-type"
+            value={accountType}
+            onChange={(e) => onAccountTypeChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="ordinary">Ordinær konto</option>
+            <option value="ask">Aksjesparekonto (ASK)</option>
+            <option value="split">Fordelt mellom ASK og ordinær</option>
+          </select>
+          <span className="input-hint">
+            {accountType === 'ask'
+              ? 'Skatt utsettes til uttak utover innskudd'
+              : 'Utbytte skattlegges årlig, gevinst ved salg'}
+          </span>
+        </div>
+
+        {accountType === 'split' && (
+          <div className="input-group">
+            <label htmlFor="ask-share">
+              Andel til ASK (%)
+            </label>
+            <input
+              id="ask-share"
+              type="number"
+              min="0"
+              max="100"
+              step="5"
+              value={askShare}
+              onChange={(e) => onAskShareChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <span className="input-hint">Resten går til ordinær konto</span>
+          </div>
+        )}
+
+        {/* Dividend Yield */}
+        <div className="input-group">
+          <label htmlFor="dividend-yield">
+            Utbytte (%)
+          </label>
+          <input
+            id="dividend-yield"
+            type="number"
+            min="0"
+            max="10"
+            step="0.5"
+            value={dividendYield}
+            onChange={(e) => onDividendYieldChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Andel av avkastningen som utbetales årlig</span>
+        </div>
+
+        {/* Fund Fee */}
+        <div className="input-group">
+          <label htmlFor="annual-fee">
+            Forvaltningshonorar (% per år)
+          </label>
+          <div className="input-row">
+            <input
+              id="annual-fee"
+              type="number"
+              min="0"
+              max="5"
+              step="0.05"
+              value={annualFee}
+              onChange={(e) => onAnnualFeeChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <select
+              aria-label="Fondstype"
+              value={FUND_FEE_PRESETS.some(p => p.fee === annualFee) ? annualFee : ''}
+              onChange={(e) => e.target.value !== '' && onAnnualFeeChange(Number(e.target.value))}
+              className="input-field select-field"
+            >
+              <option value="">Egendefinert</option>
+              {FUND_FEE_PRESETS.map(preset => (
+                <option key={preset.fee} value={preset.fee}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+          <span className="input-hint">Årlig kostnad (TER) trukket fra fondet</span>
+        </div>
+
+        {/* Purchase Fee */}
+        <div className="input-group">
+          <label htmlFor="purchase-fee">
+            Kurtasje per kjøp (NOK)
+          </label>
+          <input
+            id="purchase-fee"
+            type="number"
+            min="0"
+            max="500"
+            step="1"
+            value={purchaseFee}
+            onChange={(e) => onPurchaseFeeChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Fast gebyr for hvert månedlige kjøp</span>
+        </div>
+
+        {/* Transaction Cost */}
+        <div className="input-group">
+          <label htmlFor="transaction-cost">
+            Spread / transaksjonskostnad (%)
+          </label>
+          <input
+            id="transaction-cost"
+            type="number"
+            min="0"
+            max="2"
+            step="0.05"
+            value={transactionCost}
+            onChange={(e) => onTransactionCostChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Trekkes ved hvert kjøp og salg</span>
+        </div>
+
+        {/* Shielding Rate */}
+        <div className="input-group">
+          <label htmlFor="shielding-rate">
+            Skjermingsrente (%)
+          </label>
+          <input
+            id="shielding-rate"
+            type="number"
+            min="0"
+            max="10"
+            step="0.1"
+            value={shieldingRate}
+            onChange={(e) => onShieldingRateChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Dagens sats; følger simulert rente videre</span>
+        </div>
+
+        {/* Interest Deduction */}
+        <div className="input-group">
+          <label htmlFor="interest-deduction">
+            Rentefradrag (%)
+          </label>
+          <input
+            id="interest-deduction"
+            type="number"
+            min="0"
+            max="50"
+            step="1"
+            value={interestDeductionRate}
+            onChange={(e) => onInterestDeductionRateChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">Skatteverdi av renteutgifter (22% i 2024)</span>
+        </div>
+
+        {/* Wealth Tax */}
+        <div className="input-group">
+          <label htmlFor="wealth-tax">
+            Formuesskatt
+          </label>
+          <select
+            id="wealth-tax"
+            value={wealthTax ? 'on' : 'off'}
+            onChange={(e) => onWealthTaxChange(e.target.value === 'on')}
+            className="input-field select-field"
+          >
+            <option value="off">Ikke med</option>
+            <option value="on">Med (2024-regler)</option>
+          </select>
+          <span className="input-hint">Beregnes hvert år i hver bane</span>
+        </div>
+
+        {wealthTax && (
+          <div className="input-group">
+            <label htmlFor="other-net-wealth">
+              Annen nettoformue (NOK)
+            </label>
+            <input
+              id="other-net-wealth"
+              type="number"
+              min="-20000000"
+              max="100000000"
+              step="100000"
+              value={otherNetWealth}
+              onChange={(e) => onOtherNetWealthChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <span className="input-hint">Ligningsverdi utenom bolig og boliglån</span>
+          </div>
+        )}
+
+        {/* Liquidity Shocks */}
+        <div className="input-group">
+          <label htmlFor="shock-probability">
+            Sannsynlighet for jobbtap per år (%)
+          </label>
+          <input
+            id="shock-probability"
+            type="number"
+            min="0"
+            max="50"
+            step="1"
+            value={shockProbability}
+            onChange={(e) => onShockProbabilityChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span className="input-hint">0 = ingen tilfeldige sjokk</span>
+        </div>
+
+        {shockProbability > 0 && (
+          <div className="input-group">
+            <label htmlFor="shock-amount">
+              Kostnad per sjokk (NOK)
+            </label>
+            <input
+              id="shock-amount"
+              type="number"
+              min="0"
+              max="5000000"
+              step="10000"
+              value={shockAmount}
+              onChange={(e) => onShockAmountChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <span className="input-hint">Tapt inntekt utover NAV og buffer</span>
+          </div>
+        )}
+
+        <div className="input-group">
+          <label htmlFor="emergency-cost">
+            Uforutsett utgift (NOK)
+          </label>
+          <div className="input-row">
+            <input
+              id="emergency-cost"
+              type="number"
+              min="0"
+              max="5000000"
+              step="10000"
+              value={emergencyCost}
+              onChange={(e) => onEmergencyCostChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <input
+              id="emergency-year"
+              type="number"
+              min="1"
+              max={timeHorizon}
+              step="1"
+              value={emergencyYear}
+              onChange={(e) => onEmergencyYearChange(Number(e.target.value))}
+              className="input-field input-field-year"
+              aria-label="År for utgiften"
+            />
+          </div>
+          <span className="input-hint">Beløp og år (1 = første år); 0 = ingen</span>
+        </div>
+
+        {hasShocks && (
+          <div className="input-group">
+            <label htmlFor="reborrow">
+              Ny belåning i boligen
+            </label>
+            <select
+              id="reborrow"
+              value={reborrow ? 'yes' : 'no'}
+              onChange={(e) => onReborrowChange(e.target.value === 'yes')}
+              className="input-field select-field"
+            >
+              <option value="no">Banken sier nei</option>
+              <option value="yes">Banken tillater det</option>
+            </select>
+            <span className="input-hint">Kan det som er nedbetalt ekstra lånes opp igjen?</span>
+          </div>
+        )}
+
+        {hasShocks && (
+          <div className="input-group">
+            <label htmlFor="credit-rate">
+              Rente på forbrukslån (%)
+            </label>
+            <input
+              id="credit-rate"
+              type="number"
+              min="0"
+              max="30"
+              step="0.5"
+              value={creditRate}
+              onChange={(e) => onCreditRateChange(Number(e.target.value))}
+              className="input-field"
+            />
+            <span className="input-hint">Brukes når aksjer og boligen ikke dekker sjokket</span>
+          </div>
+        )}
+
+        {/* Random Seed */}
+        <div className="input-group">
+          <label htmlFor="seed">
+            Seed
+          </label>
+          <div className="input-row">
+            <input
+              id="seed"
+              type="number"
+              min="0"
+              step="1"
+              value={seed}
+              onChange={(e) => onSeedChange(Math.max(0, Math.floor(Number(e.target.value))))}
+              className="input-field"
+            />
+            <button
+              type="button"
+              className="seed-button"
+              onClick={() => onSeedChange(Math.floor(Math.random() * 1000000000))}
+            >
+              Ny
+            </button>
+          </div>
+          <span className="input-hint">Samme seed og parametere gir identiske resultater</span>
+        </div>
+
+        <div className="input-group">
+          <label htmlFor="simulation-mode">
+            Antall simuleringer
+          </label>
+          <select
+            id="simulation-mode"
+            value={simulationMode}
+            onChange={(e) => onSimulationModeChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <option value="fixed">Fast antall</option>
+            <option value="adaptive">Til ønsket presisjon</option>
+          </select>
+          <span className="input-hint">
+            {simulationMode === 'adaptive'
+              ? 'Legger til 2 000 baner om gangen til sannsynligheten er presis nok'
+              : 'Færre baner gir raskere, men mer usikre, resultater'}
+          </span>
+        </div>
+
+        {simulationMode === 'fixed' ? (
+          <div className="input-group">
+            <label htmlFor="num-simulations">
+              Baner
+            </label>
+            <select
+              id="num-simulations"
+              value={numSimulations}
+              onChange={(e) => onNumSimulationsChange(Number(e.target.value))}
+              className="input-field select-field"
+            >
+              {SIMULATION_COUNTS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div className="input-group">
+            <label htmlFor="target-precision">
+              Presisjon og tidsgrense
+            </label>
+            <div className="input-row">
+              <select
+                id="target-precision"
+                value={targetPrecision}
+                onChange={(e) => onTargetPrecisionChange(Number(e.target.value))}
+                className="input-field select-field"
+              >
+                {PRECISION_TARGETS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                id="max-seconds"
+                type="number"
+                min="1"
+                max="60"
+                step="1"
+                value={maxSeconds}
+                onChange={(e) => onMaxSecondsChange(Math.max(1, Number(e.target.value)))}
+                className="input-field input-field-year"
+                aria-label="Tidsgrense i sekunder"
+              />
+            </div>
+            <span className="input-hint">95%-intervall for sannsynligheten; høyst så mange sekunder</span>
+          </div>
+        )}
       </div>
 
       {/* Stock Allocation Slider */}
@@ -120,6 +1177,26 @@ export const InputPanel = ({
 
           <span className="slider-label-right">100% Aksjer<br/>(0% Nedbetaling)</span>
         </div>
+
+        {/* Allocation Rule */}
+        <div className="input-group allocation-rule-group">
+          <label htmlFor="allocation-rule">
+            Allokeringsregel
+          </label>
+          <select
+            id="allocation-rule"
+            value={allocationRule}
+            onChange={(e) => onAllocationRuleChange(e.target.value)}
+            className="input-field select-field"
+          >
+            {ALLOCATION_RULES.map(rule => (
+              <option key={rule.value} value={rule.value}>{rule.label}</option>
+            ))}
+          </select>
+          <span className="input-hint">
+            {ALLOCATION_RULES.find(rule => rule.value === allocationRule)?.hint}
+          </span>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,120 @@
+import React from 'react';
+import { Statistics } from '../utils/statistics';
+import './RiskCard.css';
+
+/**
+ * RiskCard Component
+ * Downside risk for both strategies: expected shortfall, the chance of
+ * ending below what was put in, the chance of the stock strategy falling
+ * more than a chosen amount behind paydown, and the largest fall from a
+ * peak of the stock return index along each path
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.risk - Risk summary from useSimulation
+ * @param {number} props.stockAllocation - Stock allocation (0-100)
+ * @param {string} props.valueMode - 'nominal' or 'real'
+ * @param {Function} props.onShortfallThresholdChange - Threshold setter (NOK)
+ */
+export const RiskCard = ({
+  risk,
+  stockAllocation,
+  valueMode = 'nominal',
+  onShortfallThresholdChange
+}) => {
+  if (!risk) {
+    return null;
+  }
+
+  const { stock, mortgage, drawdown } = risk;
+  const currencyLabel = valueMode === 'real' ? 'dagens kroner' : 'NOK';
+  const largestShare = Math.max(...drawdown.buckets.map(bucket => bucket.share));
+
+  const rows = [
+    {
+      label: 'Snitt av verste 5% (CVaR 5%)',
+      stock: Statistics.formatNOK(stock.cvar5),
+      mortgage: Statistics.formatNOK(mortgage.cvar5)
+    },
+    {
+      label: 'Snitt av verste 1% (CVaR 1%)',
+      stock: Statistics.formatNOK(stock.cvar1),
+      mortgage: Statistics.formatNOK(mortgage.cvar1)
+    },
+    {
+      label: 'Ender under innskutt beløp',
+      stock: Statistics.formatPercent(stock.probabilityBelowContributed),
+      mortgage: Statistics.formatPercent(mortgage.probabilityBelowContributed)
+    }
+  ];
+
+  return (
+    <div className="risk-card">
+      <h3 className="risk-title">Nedsiderisiko</h3>
+
+      <div className="risk-table">
+        <div className="risk-row risk-header">
+          <span>Mål</span>
+          <span>{stockAllocation}% aksjer</span>
+          <span>100% boliglån</span>
+        </div>
+        {rows.map(({ label, stock: stockValue, mortgage: mortgageValue }) => (
+          <div className="risk-row" key={label}>
+            <span className="risk-label">{label}</span>
+            <span className="risk-value stock">{stockValue}</span>
+            <span className="risk-value mortgage">{mortgageValue}</span>
+          </div>
+        ))}
+      </div>
+
+      <p className="risk-note">
+        CVaR er gjennomsnittet av de dårligste utfallene ({currencyLabel}). Innskutt beløp er alle månedlige
+        innskudd, engangsbeløpet og eksisterende portefølje, {Statistics.formatNOK(risk.totalContributed, true)} nominelt.
+      </p>
+
+      <div className="risk-shortfall">
+        <label className="risk-field">
+          <span>Aksjestrategien havner mer enn ({currencyLabel})</span>
+          <input
+            type="number"
+            min="0"
+            step="50000"
+            value={risk.shortfallThreshold}
+            onChange={(e) => onShortfallThresholdChange(Number(e.target.value))}
+            className="input-field"
+          />
+          <span>bak full nedbetaling</span>
+        </label>
+        <span className="risk-shortfall-value">{Statistics.formatPercent(risk.probabilityShortfall)}</span>
+      </div>
+
+      <div className="risk-drawdown">
+        <h4>Største fall fra topp underveis i aksjeporteføljen</h4>
+        <p className="risk-drawdown-summary">
+          Median {Statistics.formatPercent(drawdown.percentiles.p50)},
+          {' '}75. persentil {Statistics.formatPercent(drawdown.percentiles.p75)},
+          {' '}95. persentil {Statistics.formatPercent(drawdown.percentiles.p95)}
+        </p>
+        <div className="risk-buckets">
+          {drawdown.buckets.map(({ lower, upper, share }) => (
+            <div className="risk-bucket" key={lower}>
+              <span className="risk-bucket-label">
+                {Statistics.formatPercent(lower, 0)}–{Statistics.formatPercent(upper, 0)}
+              </span>
+              <span className="risk-bucket-bar">
+                <span
+                  className="risk-bucket-fill"
+                  style={{ width: `${largestShare > 0 ? (share / largestShare) * 100 : 0}%` }}
+                />
+              </span>
+              <span className="risk-bucket-share">{Statistics.formatPercent(share)}</span>
+            </div>
+          ))}
+        </div>
+        <p className="risk-note">
+          Fallet måles på verdien av én krone investert ved start, ved hvert årsskifte, så nye innskudd skjuler
+          ikke kursfall. Fall innad i året fanges ikke opp.
+        </p>
+      </div>
+    </div>
+  );
+};
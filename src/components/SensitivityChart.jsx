@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { Statistics } from '../utils/statistics';
+import './SensitivityChart.css';
+
+const INPUT_LABELS = {
+  mortgageRate: 'Boliglånsrente',
+  timeHorizon: 'Tidshorisont',
+  returnAdjustment: 'Aksjeavkastning',
+  capitalGainsRate: 'Gevinstskatt',
+  interestDeductionRate: 'Rentefradrag',
+  shieldingRate: 'Skjermingsrente',
+  annualFee: 'Forvaltningshonorar'
+};
+
+const METRICS = [
+  { value: 'medianDifference', label: 'Median forskjell' },
+  { value: 'probabilityStockWins', label: 'Sannsynlighet for at aksjer vinner' }
+];
+
+/**
+ * Input value as shown in labels and the grid
+ */
+const formatInput = (key, value) => {
+  if (key === 'timeHorizon') {
+    return `${value} år`;
+  }
+  if (key === 'returnAdjustment') {
+    return `${value > 0 ? '+' : ''}${Statistics.formatPercent(value, 1)} per år`;
+  }
+  return Statistics.formatPercent(value, 1);
+};
+
+const formatMetric = (metric, value, signed = false) => {
+  const sign = signed && value > 0 ? '+' : '';
+  return metric === 'probabilityStockWins'
+    ? `${sign}${Statistics.formatPercent(value, 1)}`
+    : `${sign}${Statistics.formatNOK(value, true)}`;
+};
+
+/**
+ * Cell background: green when stocks come out ahead, red when behind,
+ * stronger the further from the break-even point
+ */
+const cellColor = (value, maxAbs) => {
+  const strength = maxAbs > 0 ? Math.min(1, Math.abs(value) / maxAbs) : 0;
+  const alpha = (0.1 + 0.6 * strength).toFixed(2);
+  return value >= 0 ? `rgba(30, 123, 69, ${alpha})` : `rgba(176, 42, 55, ${alpha})`;
+};
+
+const TornadoTooltip = ({ active, payload, metric }) => {
+  if (active && payload && payload.length) {
+    const d = payload[0].payload;
+    return (
+      <div className="sensitivity-tooltip">
+        <p className="tooltip-title">{d.label}</p>
+        <p className="tooltip-row low">
+          {formatInput(d.key, d.lowValue)}: {formatMetric(metric, d.low, true)}
+        </p>
+        <p className="tooltip-row high">
+          {formatInput(d.key, d.highValue)}: {formatMetric(metric, d.high, true)}
+        </p>
+      </div>
+    );
+  }
+  return null;
+};
+
+/**
+ * SensitivityChart Component
+ * Tornado chart of how much each assumption moves the median difference
+ * (stock strategy minus full paydown) or the probability that stocks win,
+ * and a heatmap of one input against the allocation
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.sensitivity - { base, rows, grid } from
+ *   useSimulation, or null before the analysis has been run
+ * @param {boolean} props.enabled - Whether the analysis is on; it re-runs
+ *   every time the inputs change, so it is off until the user asks for it
+ * @param {string} props.gridKey - Input shown against the allocation
+ * @param {string} props.valueMode - 'nominal' or 'real'
+ */
+export const SensitivityChart = ({
+  sensitivity,
+  enabled,
+  gridKey,
+  valueMode = 'nominal',
+  onEnabledChange,
+  onGridKeyChange
+}) => {
+  const [metric, setMetric] = useState('medianDifference');
+  const isMobile = typeof window !== 'undefined' && window.innerWidth < 768;
+  const currencyLabel = valueMode === 'real' ? 'dagens kroner' : 'NOK';
+
+  // Bars show the change from the base case, low and high drawn over each other
+  const tornadoData = sensitivity
+    ? sensitivity.rows.map(({ key, low, high }) => ({
+      label: INPUT_LABELS[key] ?? key,
+      key,
+      low: low[metric] - sensitivity.base[metric],
+      high: high[metric] - sensitivity.base[metric],
+      lowValue: low.value,
+      highValue: high.value
+    }))
+    : [];
+
+  const grid = sensitivity?.grid;
+  const maxAbs = grid
+    ? Math.max(...grid.cells.flat().map(cell => Math.abs(cell.medianDifference)))
+    : 0;
+
+  return (
+    <div className="sensitivity-container">
+      <h3 className="sensitivity-title">Sensitivitet</h3>
+
+      <div className="sensitivity-controls">
+        <label className="sensitivity-field">
+          <span>Mål</span>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="input-field select-field"
+          >
+            {METRICS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button type="button" className="sensitivity-button" onClick={() => onEnabledChange(!enabled)}>
+          {enabled ? 'Slå av' : 'Beregn sensitivitet'}
+        </button>
+      </div>
+
+      {!sensitivity && (
+        <p className="sensitivity-note">
+          Flytter hver forutsetning ned og opp fra dagens verdi og kjører simuleringen på nytt med samme frø.
+        </p>
+      )}
+
+      {sensitivity && (
+        <>
+          <p className="sensitivity-subtitle">
+            Utgangspunkt: {formatMetric(metric, sensitivity.base[metric])}
+            {metric === 'medianDifference' ? ` (${currencyLabel})` : ''}
+          </p>
+
+          <ResponsiveContainer width="100%" height={isMobile ? 260 : 300}>
+            <BarChart
+              data={tornadoData}
+              layout="vertical"
+              barSize={18}
+              barGap={-18}
+              margin={{ top: 5, right: 20, left: 10, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+              <XAxis
+                type="number"
+                tickFormatter={(value) => formatMetric(metric, value, true)}
+                tick={{ fontSize: isMobile ? 9 : 11 }}
+              />
+              <YAxis
+                type="category"
+                dataKey="label"
+                tick={{ fontSize: isMobile ? 9 : 11 }}
+                width={isMobile ? 90 : 130}
+              />
+              <Tooltip content={<TornadoTooltip metric={metric} />} />
+              <Legend />
+              <ReferenceLine x={0} stroke="#666" />
+              <Bar dataKey="low" name="Lavere verdi" fill="#E88A92" fillOpacity={0.85} />
+              <Bar dataKey="high" name="Høyere verdi" fill="#4A90E2" fillOpacity={0.85} />
+            </BarChart>
+          </ResponsiveContainer>
+
+          <div className="sensitivity-grid-header">
+            <h4>Rutenett mot andel aksjer</h4>
+            <label className="sensitivity-field inline">
+              <span>Rader</span>
+              <select
+                value={gridKey}
+                onChange={(e) => onGridKeyChange(e.target.value)}
+                className="input-field select-field"
+              >
+                {Object.entries(INPUT_LABELS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="sensitivity-grid-wrapper">
+            <table className="sensitivity-grid">
+              <thead>
+                <tr>
+                  <th>{INPUT_LABELS[grid.key]}</th>
+                  {grid.allocations.map(allocation => (
+                    <th key={allocation}>{allocation}% aksjer</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {grid.rowValues.map((value, row) => (
+                  <tr key={row}>
+                    <th>{formatInput(grid.key, value)}</th>
+                    {grid.cells[row].map((cell, column) => (
+                      <td
+                        key={column}
+                        style={{ background: cellColor(cell.medianDifference, maxAbs) }}
+                        title={`Sannsynlighet for at aksjer vinner: ${Statistics.formatPercent(cell.probabilityStockWins, 0)}`}
+                      >
+                        <span className="cell-value">{formatMetric('medianDifference', cell.medianDifference, true)}</span>
+                        <span className="cell-probability">{Statistics.formatPercent(cell.probabilityStockWins, 0)}</span>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="sensitivity-note">
+            Median forskjell mellom aksjestrategien og full nedbetaling på de samme banene, med sannsynligheten
+            for at aksjene vinner under. Boliglånsrenten flyttes sammen med den langsiktige renten.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
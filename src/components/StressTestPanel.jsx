@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { Statistics } from '../utils/statistics';
+import './StressTestPanel.css';
+
+const POSITIONS = [
+  { value: 'start', label: 'Ved starten' },
+  { value: 'end', label: 'De siste årene' },
+  { value: 'year', label: 'Fra et valgt år' }
+];
+
+/**
+ * Parse a sequence of yearly returns typed as percentages
+ * Values are separated by semicolons or spaces; a decimal comma is accepted.
+ *
+ * @param {string} text - e.g. "-30; -10; 15,5"
+ * @returns {Array<number>|null} - Percent per year, or null if invalid
+ */
+const parseSequence = (text) => {
+  const parts = text.split(/[;\s]+/).filter(Boolean);
+  const values = parts.map(part => Number(part.replace(',', '.').replace('−', '-')));
+  if (values.length === 0 || values.some(value => !Number.isFinite(value) || value <= -100)) {
+    return null;
+  }
+  return values;
+};
+
+/**
+ * StressTestPanel Component
+ * Replays a named historical crisis, or a sequence the user has saved, at a
+ * chosen point in the horizon and shows the deterministic outcome next to
+ * the Monte Carlo percentiles
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.stressTest - Stress test summary from useSimulation
+ * @param {Array<Object>} props.scenarios - { id, name, custom } choices
+ * @param {Array<Object>} props.customScenarios - Saved { id, name, returns (percent) }
+ * @param {Object} props.stockPercentiles - Monte Carlo percentiles, stock strategy
+ * @param {Object} props.mortgagePercentiles - Monte Carlo percentiles, mortgage strategy
+ */
+export const StressTestPanel = ({
+  stressTest,
+  scenarios,
+  scenarioId,
+  position,
+  year,
+  timeHorizon,
+  customScenarios,
+  stockPercentiles,
+  mortgagePercentiles,
+  stockAllocation,
+  valueMode = 'nominal',
+  onScenarioChange,
+  onPositionChange,
+  onYearChange,
+  onCustomScenariosChange
+}) => {
+  const [draftName, setDraftName] = useState('');
+  const [draftReturns, setDraftReturns] = useState('');
+  const [draftError, setDraftError] = useState('');
+
+  const historical = scenarios.filter(scenario => !scenario.custom);
+  const custom = scenarios.filter(scenario => scenario.custom);
+  const selectedIsCustom = custom.some(scenario => scenario.id === scenarioId);
+
+  const saveScenario = () => {
+    const returns = parseSequence(draftReturns);
+    if (!draftName.trim() || !returns) {
+      setDraftError('Gi sekvensen et navn og minst én avkastning over -100%.');
+      return;
+    }
+    const id = `custom-${Date.now()}`;
+    onCustomScenariosChange([...customScenarios, { id, name: draftName.trim(), returns }]);
+    onScenarioChange(id);
+    setDraftName('');
+    setDraftReturns('');
+    setDraftError('');
+  };
+
+  const deleteScenario = () => {
+    onCustomScenariosChange(customScenarios.filter(scenario => scenario.id !== scenarioId));
+    onScenarioChange(historical[0]?.id ?? '');
+  };
+
+  const rows = stressTest && [
+    {
+      label: `${stockAllocation}% aksjer`,
+      value: stressTest.stock,
+      percentiles: stockPercentiles,
+      rank: stressTest.stockRank
+    },
+    {
+      label: '100% boliglån',
+      value: stressTest.mortgage,
+      percentiles: mortgagePercentiles,
+      rank: stressTest.mortgageRank
+    }
+  ];
+
+  return (
+    <div className="stress-panel">
+      <h3 className="stress-title">Stresstest</h3>
+
+      <div className="stress-controls">
+        <label className="stress-field">
+          <span>Scenario</span>
+          <select
+            value={scenarioId}
+            onChange={(e) => onScenarioChange(e.target.value)}
+            className="input-field select-field"
+          >
+            <optgroup label="Historiske hendelser">
+              {historical.map(({ id, name }) => (
+                <option key={id} value={id}>{name} ({id})</option>
+              ))}
+            </optgroup>
+            {custom.length > 0 && (
+              <optgroup label="Egne sekvenser">
+                {custom.map(({ id, name }) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </label>
+
+        <label className="stress-field">
+          <span>Plassering</span>
+          <select
+            value={position}
+            onChange={(e) => onPositionChange(e.target.value)}
+            className="input-field select-field"
+          >
+            {POSITIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {position === 'year' && (
+          <label className="stress-field">
+            <span>Startår i horisonten</span>
+            <input
+              type="number"
+              min="1"
+              max={timeHorizon}
+              step="1"
+              value={year}
+              onChange={(e) => onYearChange(Number(e.target.value))}
+              className="input-field"
+            />
+          </label>
+        )}
+      </div>
+
+      {stressTest && (
+        <>
+          <div className="stress-sequence" aria-label="Avkastning per år">
+            {stressTest.returns.map((value, index) => {
+              const inCrisis = index + 1 >= stressTest.startYear && index + 1 <= stressTest.endYear;
+              return (
+                <span
+                  key={index}
+                  className={`stress-year ${inCrisis ? 'crisis' : ''} ${value < 0 ? 'negative' : ''}`}
+                >
+                  <span className="stress-year-label">År {index + 1}</span>
+                  {Statistics.formatPercent(value, 1)}
+                </span>
+              );
+            })}
+          </div>
+
+          <table className="stress-table">
+            <thead>
+              <tr>
+                <th>Strategi</th>
+                <th>Stresstest</th>
+                <th>5. persentil</th>
+                <th>Median</th>
+                <th>95. persentil</th>
+                <th>Persentil i simuleringen</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ label, value, percentiles, rank }) => (
+                <tr key={label}>
+                  <td>{label}</td>
+                  <td className="stress-value">{Statistics.formatNOK(value, true)}</td>
+                  <td>{Statistics.formatNOK(percentiles.p5, true)}</td>
+                  <td>{Statistics.formatNOK(percentiles.p50, true)}</td>
+                  <td>{Statistics.formatNOK(percentiles.p95, true)}</td>
+                  <td>{Math.round(rank * 100)}.</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="stress-note">
+            Krisen spilles av i år {stressTest.startYear}–{stressTest.endYear}; de andre årene får medianavkastningen.
+            Boliglånsrenten holdes på dagens nivå.
+            {valueMode === 'real' ? ' Beløp i dagens kroner.' : ''}
+          </p>
+        </>
+      )}
+
+      <div className="stress-editor">
+        <span className="stress-editor-title">Egen sekvens</span>
+        <div className="stress-editor-row">
+          <input
+            type="text"
+            placeholder="Navn"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            className="input-field"
+            aria-label="Navn på sekvensen"
+          />
+          <input
+            type="text"
+            placeholder="-30; -10; 15"
+            value={draftReturns}
+            onChange={(e) => setDraftReturns(e.target.value)}
+            className="input-field"
+            aria-label="Avkastning per år i prosent"
+          />
+          <button type="button" className="stress-button" onClick={saveScenario}>
+            Lagre
+          </button>
+          {selectedIsCustom && (
+            <button type="button" className="stress-button delete" onClick={deleteScenario}>
+              Slett valgt
+            </button>
+          )}
+        </div>
+        <span className="stress-hint">
+          Årlig porteføljeavkastning i prosent, skilt med semikolon. Lagres i nettleseren.
+        </span>
+        {draftError && <span className="stress-error">{draftError}</span>}
+      </div>
+    </div>
+  );
+};
@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import {
   AreaChart,
   Area,
@@ -6,6 +6,7 @@ import {
   YAxis,
   CartesianGrid,
   Tooltip,
+  ReferenceLine,
   ResponsiveContainer,
   Legend
 } from 'recharts';
@@ -23,13 +24,78 @@ const CustomTooltip = ({ active, payload }) => {
         <p className="tooltip-row median">Median: {Statistics.formatNOK(d._p50, true)}</p>
         <p className="tooltip-row p25">25. persentil: {Statistics.formatNOK(d._p25, true)}</p>
         <p className="tooltip-row p5">5. persentil: {Statistics.formatNOK(d._p5, true)}</p>
-        <p className="tooltip-row mortgage">Boliglån: {Statistics.formatNOK(d.mortgage, true)}</p>
+        <p className="tooltip-row mortgage">Boliglån (median): {Statistics.formatNOK(d.mortgage, true)}</p>
+        <p className="tooltip-row loan-mortgage">
+          Boliglån 5.–95.: {Statistics.formatNOK(d.mortgageP5, true)} – {Statistics.formatNOK(d.mortgageP95, true)}
+        </p>
       </div>
     );
   }
   return null;
 };
 
+const LoanTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const d = payload[0].payload;
+    return (
+      <div className="time-chart-tooltip">
+        <p className="tooltip-title">År {d.year}</p>
+        <p className="tooltip-row">Restgjeld (aksjestrategi): {Statistics.formatNOK(d.balanceStock, true)}</p>
+        <p className="tooltip-row loan-mortgage">Restgjeld (100% boliglån): {Statistics.formatNOK(d.balanceMortgage, true)}</p>
+        <p className="tooltip-row loan-baseline">Restgjeld uten ekstra: {Statistics.formatNOK(d.balanceBaseline, true)}</p>
+        <p className="tooltip-row mortgage">Egenkapital: {Statistics.formatNOK(d.equityStock, true)} / {Statistics.formatNOK(d.equityMortgage, true)}</p>
+        <p className="tooltip-row loan-mortgage">Spart rente: {Statistics.formatNOK(d.interestSavedStock, true)} / {Statistics.formatNOK(d.interestSavedMortgage, true)}</p>
+      </div>
+    );
+  }
+  return null;
+};
+
+const RateTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const d = payload[0].payload;
+    return (
+      <div className="time-chart-tooltip">
+        <p className="tooltip-title">År {d.year}</p>
+        <p className="tooltip-row p95">95. persentil: {Statistics.formatPercent(d.rateP95, 2)}</p>
+        <p className="tooltip-row median">Median: {Statistics.formatPercent(d.rateP50, 2)}</p>
+        <p className="tooltip-row p5">5. persentil: {Statistics.formatPercent(d.rateP5, 2)}</p>
+      </div>
+    );
+  }
+  return null;
+};
+
+const RateLegend = () => (
+  <div className="time-chart-legend">
+    <span className="legend-item">
+      <span className="legend-line" style={{ background: '#50C878' }} />
+      Median boliglånsrente
+    </span>
+    <span className="legend-item">
+      <span className="legend-band mortgage" />
+      5.–95. persentil
+    </span>
+  </div>
+);
+
+const LoanLegend = () => (
+  <div className="time-chart-legend">
+    <span className="legend-item">
+      <span className="legend-line" style={{ background: '#4A90E2' }} />
+      Restgjeld (aksjestrategi)
+    </span>
+    <span className="legend-item">
+      <span className="legend-line" style={{ background: '#50C878' }} />
+      Restgjeld (100% boliglån)
+    </span>
+    <span className="legend-item">
+      <span className="legend-line dashed baseline" />
+      Uten ekstra innbetalinger
+    </span>
+  </div>
+);
+
 const CustomLegend = () => (
   <div className="time-chart-legend">
     <span className="legend-item">
@@ -48,10 +114,28 @@ const CustomLegend = () => (
       <span className="legend-line dashed" />
       Boliglån (100%)
     </span>
+    <span className="legend-item">
+      <span className="legend-band mortgage" />
+      Boliglån 5.–95.
+    </span>
   </div>
 );
 
-export const TimeChart = ({ timeSeriesData, stockAllocation }) => {
+const legends = {
+  value: <CustomLegend />,
+  loan: <LoanLegend />,
+  rate: <RateLegend />
+};
+
+const tooltips = {
+  value: <CustomTooltip />,
+  loan: <LoanTooltip />,
+  rate: <RateTooltip />
+};
+
+export const TimeChart = ({ timeSeriesData, stockAllocation, loanSummary, valueMode = 'nominal' }) => {
+  const [view, setView] = useState('value');
+
   const chartData = useMemo(() => {
     return timeSeriesData.map(d => ({
       year: d.year,
@@ -61,19 +145,49 @@ export const TimeChart = ({ timeSeriesData, stockAllocation }) => {
       outerUpper: d.p95 - d.p75,
       median: d.p50,
       mortgage: d.mortgage,
+      mortgageBase: d.mortgageP5,
+      mortgageBand: d.mortgageP95 - d.mortgageP5,
+      mortgageP5: d.mortgageP5,
+      mortgageP95: d.mortgageP95,
+      rateBase: d.rateP5,
+      rateBand: d.rateP95 - d.rateP5,
+      rateP5: d.rateP5,
+      rateP50: d.rateP50,
+      rateP95: d.rateP95,
       _p5: d.p5,
       _p25: d.p25,
       _p50: d.p50,
       _p75: d.p75,
       _p95: d.p95,
-      _mean: d.mean
+      _mean: d.mean,
+      balanceBaseline: d.balanceBaseline,
+      balanceStock: d.balanceStock,
+      balanceMortgage: d.balanceMortgage,
+      equityStock: d.equityStock,
+      equityMortgage: d.equityMortgage,
+      interestSavedStock: d.interestSavedStock,
+      interestSavedMortgage: d.interestSavedMortgage
     }));
   }, [timeSeriesData]);
 
   const chartHeight = typeof window !== 'undefined' && window.innerWidth < 768 ? 300 : 400;
   const isMobile = typeof window !== 'undefined' && window.innerWidth < 768;
 
-  const formatYAxis = (value) => Statistics.formatNOK(value, true);
+  const formatYAxis = (value) => view === 'rate'
+    ? Statistics.formatPercent(value, 1)
+    : Statistics.formatNOK(value, true);
+
+  const currencyLabel = valueMode === 'real' ? 'dagens kroner' : 'NOK';
+  const yAxisLabels = {
+    value: `Porteføljeverdi (${currencyLabel})`,
+    loan: `Restgjeld (${currencyLabel})`,
+    rate: 'Boliglånsrente'
+  };
+
+  // Payoff markers only when the loan is repaid inside the horizon
+  const horizonMonths = (timeSeriesData.length - 1) * 12;
+  const payoffYear = (months) =>
+    months > 0 && months <= horizonMonths ? months / 12 : null;
 
   return (
     <div className="time-chart-container">
@@ -81,7 +195,31 @@ export const TimeChart = ({ timeSeriesData, stockAllocation }) => {
         Simulert utvikling over tid
       </h3>
 
-      <CustomLegend />
+      <div className="time-chart-views">
+        <button
+          type="button"
+          className={`view-button ${view === 'value' ? 'active' : ''}`}
+          onClick={() => setView('value')}
+        >
+          Verdi
+        </button>
+        <button
+          type="button"
+          className={`view-button ${view === 'loan' ? 'active' : ''}`}
+          onClick={() => setView('loan')}
+        >
+          Restgjeld
+        </button>
+        <button
+          type="button"
+          className={`view-button ${view === 'rate' ? 'active' : ''}`}
+          onClick={() => setView('rate')}
+        >
+          Rente
+        </button>
+      </div>
+
+      {legends[view]}
 
       <ResponsiveContainer width="100%" height={chartHeight}>
         <AreaChart
@@ -110,7 +248,7 @@ export const TimeChart = ({ timeSeriesData, stockAllocation }) => {
             tick={{ fontSize: isMobile ? 9 : 11 }}
             width={isMobile ? 55 : 70}
             label={{
-              value: 'Porteføljeverdi (NOK)',
+              value: yAxisLabels[view],
               angle: -90,
               position: 'insideLeft',
               offset: isMobile ? 5 : 10,
@@ -118,10 +256,31 @@ export const TimeChart = ({ timeSeriesData, stockAllocation }) => {
             }}
           />
 
-          <Tooltip content={<CustomTooltip />} />
+          <Tooltip content={tooltips[view]} />
+
+          {/* Mortgage uncertainty band: p5 to p95 */}
+          {view === 'value' && (
+            <>
+              <Area
+                type="monotone"
+                dataKey="mortgageBase"
+                stackId="mortgageBands"
+                fill="transparent"
+                stroke="none"
+              />
+              <Area
+                type="monotone"
+                dataKey="mortgageBand"
+                stackId="mortgageBands"
+                fill="#50C878"
+                fillOpacity={0.12}
+                stroke="none"
+              />
+            </>
+          )}
 
           {/* Stacked confidence bands */}
-          {stockAllocation > 0 && (
+          {view === 'value' && stockAllocation > 0 && (
             <>
               {/* Invisible base: 0 to p5 */}
               <Area
@@ -175,15 +334,94 @@ export const TimeChart = ({ timeSeriesData, stockAllocation }) => {
           )}
 
           {/* Mortgage line (not stacked) */}
-          <Area
-            type="monotone"
-            dataKey="mortgage"
-            stroke="#50C878"
-            strokeWidth={2.5}
-            strokeDasharray="8 4"
-            fill="none"
-            dot={false}
-          />
+          {view === 'value' && (
+            <Area
+              type="monotone"
+              dataKey="mortgage"
+              stroke="#50C878"
+              strokeWidth={2.5}
+              strokeDasharray="8 4"
+              fill="none"
+              dot={false}
+            />
+          )}
+
+          {/* Mortgage rate fan */}
+          {view === 'rate' && (
+            <>
+              <Area
+                type="monotone"
+                dataKey="rateBase"
+                stackId="rateBands"
+                fill="transparent"
+                stroke="none"
+              />
+              <Area
+                type="monotone"
+                dataKey="rateBand"
+                stackId="rateBands"
+                fill="#50C878"
+                fillOpacity={0.15}
+                stroke="none"
+              />
+              <Area
+                type="monotone"
+                dataKey="rateP50"
+                stroke="#50C878"
+                strokeWidth={2.5}
+                fill="none"
+                dot={false}
+              />
+            </>
+          )}
+
+          {/* Remaining balance lines */}
+          {view === 'loan' && (
+            <>
+              <Area
+                type="monotone"
+                dataKey="balanceBaseline"
+                stroke="#999"
+                strokeWidth={2}
+                strokeDasharray="8 4"
+                fill="none"
+                dot={false}
+              />
+              <Area
+                type="monotone"
+                dataKey="balanceStock"
+                stroke="#4A90E2"
+                strokeWidth={2.5}
+                fill="none"
+                dot={false}
+              />
+              <Area
+                type="monotone"
+                dataKey="balanceMortgage"
+                stroke="#50C878"
+                strokeWidth={2.5}
+                fill="none"
+                dot={false}
+              />
+
+              {loanSummary && payoffYear(loanSummary.stock.payoffMonth) !== null && (
+                <ReferenceLine
+                  x={Math.ceil(payoffYear(loanSummary.stock.payoffMonth))}
+                  stroke="#4A90E2"
+                  strokeDasharray="3 3"
+                  label={{ value: 'Innfridd', position: 'top', fill: '#4A90E2', fontSize: isMobile ? 9 : 11 }}
+                />
+              )}
+              {loanSummary && payoffYear(loanSummary.mortgage.payoffMonth) !== null && (
+                <ReferenceLine
+                  x={Math.ceil(payoffYear(loanSummary.mortgage.payoffMonth))}
+                  stroke="#50C878"
+                  strokeDasharray="3 3"
+                  label={{ value: 'Innfridd', position: 'top', fill: '#50C878', fontSize: isMobile ? 9 : 11 }}
+                />
+              )}
+            </>
+          )}
         </AreaChart>
       </ResponsiveContainer>
     </div>
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * State that is saved in the browser's localStorage
+ * Falls back to the initial value when storage is unavailable (server
+ * rendering, private mode) or holds something that is not valid JSON.
+ *
+ * @param {string} key - localStorage key
+ * @param {any} initialValue - Value when nothing is stored
+ * @returns {Array} - [value, setValue], like useState
+ *
+ * Example usage:
+ * const [scenarios, setScenarios] = useLocalStorage('stressScenarios', []);
+ */
+export const useLocalStorage = (key, initialValue) => {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem(key);
+      return stored !== null ? JSON.parse(stored) : initialValue;
+    } catch {
+      return initialValue;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage full or blocked: keep the value for this session only
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+};
@@ -1,8 +1,58 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import { MonteCarloEngine } from '../simulation/monteCarloEngine';
 import { HistogramBinner } from '../simulation/histogramBinner';
-import { computeTimeSeriesBands } from '../utils/timeSeriesStats';
+import { AllocationOptimizer } from '../simulation/allocationOptimizer';
+import { GoalAnalysis } from '../simulation/goalAnalysis';
+import { SensitivityAnalysis } from '../simulation/sensitivityAnalysis';
+import { SamplingError } from '../simulation/samplingError';
+import { computeTimeSeriesBands, computeMedianPath } from '../utils/timeSeriesStats';
+import { Statistics } from '../utils/statistics';
+import { useLocalStorage } from './useLocalStorage';
+import { useDebounce } from './useDebounce';
 import nordicReturns from '../data/nordicStockReturns.json';
+import assetClassReturns from '../data/assetClassReturns.json';
+
+// Inputs settle this long before anything is simulated, so typing a number
+// or stepping through a field runs the simulations once, not per keystroke
+const SIMULATION_DEBOUNCE_MS = 300;
+
+// Account types, costs and the lump sum placement are compared on common
+// random numbers, which keeps paired differences stable with fewer paths
+const STOCK_COMPARISON_SIMULATIONS = 2000;
+
+// Fixed allocations checked against the goal, each simulated to its deadline
+const GOAL_ALLOCATIONS = [0, 25, 50, 75, 100];
+
+// Allocation grid swept by the optimizer
+const OPTIMIZER_ALLOCATIONS = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+// Sensitivity analysis re-runs the simulation for every input and grid row,
+// so each run uses fewer paths; the seed is shared, which keeps the changes
+// between runs stable
+const SENSITIVITY_SIMULATIONS = 1000;
+
+// Buckets for the distribution of the largest fall of each path's return index
+const DRAWDOWN_BUCKETS = [0, 0.05, 0.1, 0.2, 0.3, 0.5, 1];
+
+// Saved custom stress-test sequences: [{ id, name, returns (percent per year) }]
+const STRESS_STORAGE_KEY = 'nordic-financial-planner.stressScenarios';
+
+// Allocation rule compared with fixed allocations on the same paths
+const ALLOCATION_VARIANTS = {
+  rule: {},
+  fixed: { allocationRule: 'fixed' },
+  allStocks: { allocationRule: 'fixed', stockAllocation: 100 },
+  allMortgage: { allocationRule: 'fixed', stockAllocation: 0 }
+};
+
+// Stock variants compared on the same paths as the main simulation
+const STOCK_VARIANTS = {
+  ordinary: { accountType: 'ordinary' },
+  ask: { accountType: 'ask' },
+  split: { accountType: 'split' },
+  selected: {},
+  noCosts: { annualFee: 0, purchaseFee: 0, transactionCost: 0 }
+};
 
 /**
  * Custom hook for managing simulation state and running Monte Carlo simulations
@@ -16,58 +66,679 @@ export const useSimulation = () => {
   const [timeHorizon, setTimeHorizon] = useState(10);
   const [mortgageRate, setMortgageRate] = useState(4.5);
   const [stockAllocation, setStockAllocation] = useState(50);
+  const [contributionTiming, setContributionTiming] = useState('monthly');
+  const [loanBalance, setLoanBalance] = useState(3000000);
+  const [loanTermYears, setLoanTermYears] = useState(25);
+  const [loanType, setLoanType] = useState('annuity');
+  const [homeValue, setHomeValue] = useState(4500000);
+  const [rateModel, setRateModel] = useState('meanReverting');
+  const [longRunRate, setLongRunRate] = useState(4.5);
+  const [rateVolatility, setRateVolatility] = useState(0.75);
+  const [rateEquityCorrelation, setRateEquityCorrelation] = useState(0);
+  const [samplingMethod, setSamplingMethod] = useState('iid');
+  const [blockLength, setBlockLength] = useState(5);
+  const [returnModel, setReturnModel] = useState('historical');
+  const [parameterSource, setParameterSource] = useState('dataset');
+  const [expectedReturn, setExpectedReturn] = useState(7);
+  const [returnVolatility, setReturnVolatility] = useState(18);
+  const [degreesOfFreedom, setDegreesOfFreedom] = useState(5);
+  const [seed, setSeed] = useState(20240601);
+  const [inflationModel, setInflationModel] = useState('historical');
+  const [inflationRate, setInflationRate] = useState(2.5);
+  const [valueMode, setValueMode] = useState('nominal');
+  const [shieldingRate, setShieldingRate] = useState(3.9);
+  const [interestDeductionRate, setInterestDeductionRate] = useState(22);
+  const [accountType, setAccountType] = useState('ordinary');
+  const [askShare, setAskShare] = useState(50);
+  const [dividendYield, setDividendYield] = useState(3);
+  const [wealthTax, setWealthTax] = useState(false);
+  const [annualFee, setAnnualFee] = useState(0.2);
+  const [purchaseFee, setPurchaseFee] = useState(0);
+  const [transactionCost, setTransactionCost] = useState(0);
+  const [otherNetWealth, setOtherNetWealth] = useState(0);
+  const [currencyMode, setCurrencyMode] = useState('unhedged');
+  const [hedgeCarry, setHedgeCarry] = useState(1);
+  const [allocationRule, setAllocationRule] = useState('fixed');
+  const [contributionGrowth, setContributionGrowth] = useState(0);
+  const [contributionEvents, setContributionEvents] = useState([]);
+  const [lumpSum, setLumpSum] = useState(0);
+  const [existingPortfolio, setExistingPortfolio] = useState(0);
+  const [existingCostBasis, setExistingCostBasis] = useState(0);
+  const [shockProbability, setShockProbability] = useState(0);
+  const [shockAmount, setShockAmount] = useState(300000);
+  const [emergencyCost, setEmergencyCost] = useState(0);
+  const [emergencyYear, setEmergencyYear] = useState(3);
+  const [reborrow, setReborrow] = useState(false);
+  const [creditRate, setCreditRate] = useState(12);
+  const [stressScenarioId, setStressScenarioId] = useState('2008');
+  const [stressPosition, setStressPosition] = useState('start');
+  const [stressYear, setStressYear] = useState(1);
+  const [customStressScenarios, setCustomStressScenarios] = useLocalStorage(STRESS_STORAGE_KEY, []);
+  const [goalType, setGoalType] = useState('none');
+  const [currentAge, setCurrentAge] = useState(40);
+  const [targetAge, setTargetAge] = useState(55);
+  const [goalYears, setGoalYears] = useState(15);
+  const [goalAmount, setGoalAmount] = useState(3000000);
+  const [optimizerEnabled, setOptimizerEnabled] = useState(false);
+  const [optimizerObjective, setOptimizerObjective] = useState('median');
+  const [riskAversion, setRiskAversion] = useState(3);
+  const [minP5, setMinP5] = useState(0);
+  const [sensitivityEnabled, setSensitivityEnabled] = useState(false);
+  const [sensitivityGridKey, setSensitivityGridKey] = useState('mortgageRate');
+  const [shortfallThreshold, setShortfallThreshold] = useState(100000);
+  const [simulationMode, setSimulationMode] = useState('fixed');
+  const [numSimulations, setNumSimulations] = useState(10000);
+  const [targetPrecision, setTargetPrecision] = useState(1);
+  const [maxSeconds, setMaxSeconds] = useState(5);
+  const [portfolioWeights, setPortfolioWeights] = useState({
+    nordic: 100,
+    global: 0,
+    osebx: 0,
+    money_market: 0
+  });
 
   // Initialize Monte Carlo engine once (singleton pattern)
-  const engine = useMemo(() => new MonteCarloEngine(nordicReturns), []);
+  const engine = useMemo(() => new MonteCarloEngine(nordicReturns, {
+    assetReturns: assetClassReturns
+  }), []);
 
-  // Run simulation and calculate results (memoized based on inputs)
-  const results = useMemo(() => {
+  // Engine parameters (percentages converted to decimals)
+  const inputParams = useMemo(() => ({
+    monthlyInvestment,
+    timeHorizon,
+    mortgageRate: mortgageRate / 100,
+    stockAllocation,
+    contributionTiming,
+    loanBalance,
+    loanTermYears,
+    loanType,
+    homeValue,
+    rateModel,
+    longRunRate: longRunRate / 100,
+    rateVolatility: rateVolatility / 100,
+    rateEquityCorrelation,
+    samplingMethod,
+    blockLength,
+    returnModel,
+    parameterSource,
+    expectedReturn: expectedReturn / 100,
+    returnVolatility: returnVolatility / 100,
+    degreesOfFreedom,
+    inflationModel,
+    inflationRate: inflationRate / 100,
+    shieldingRate: shieldingRate / 100,
+    interestDeductionRate: interestDeductionRate / 100,
+    accountType,
+    askShare,
+    dividendYield: dividendYield / 100,
+    wealthTax,
+    otherNetWealth,
+    annualFee: annualFee / 100,
+    purchaseFee,
+    transactionCost: transactionCost / 100,
+    currencyMode,
+    hedgeCarry: hedgeCarry / 100,
+    portfolio: portfolioWeights,
+    allocationRule,
+    contributionGrowth: contributionGrowth / 100,
+    contributionEvents,
+    lumpSum,
+    existingPortfolio,
+    existingCostBasis,
+    shockProbability: shockProbability / 100,
+    shockAmount,
+    emergencyCost,
+    emergencyYear,
+    reborrow,
+    creditRate: creditRate / 100,
+    seed
+  }), [
+    monthlyInvestment,
+    timeHorizon,
+    mortgageRate,
+    stockAllocation,
+    contributionTiming,
+    loanBalance,
+    loanTermYears,
+    loanType,
+    homeValue,
+    rateModel,
+    longRunRate,
+    rateVolatility,
+    rateEquityCorrelation,
+    samplingMethod,
+    blockLength,
+    returnModel,
+    parameterSource,
+    expectedReturn,
+    returnVolatility,
+    degreesOfFreedom,
+    inflationModel,
+    inflationRate,
+    shieldingRate,
+    interestDeductionRate,
+    accountType,
+    askShare,
+    dividendYield,
+    wealthTax,
+    otherNetWealth,
+    annualFee,
+    purchaseFee,
+    transactionCost,
+    currencyMode,
+    hedgeCarry,
+    portfolioWeights,
+    allocationRule,
+    contributionGrowth,
+    contributionEvents,
+    lumpSum,
+    existingPortfolio,
+    existingCostBasis,
+    shockProbability,
+    shockAmount,
+    emergencyCost,
+    emergencyYear,
+    reborrow,
+    creditRate,
+    seed
+  ]);
+
+  // Everything below runs on the settled parameters and reads horizon, home
+  // value and loan from them, so results always match the paths they come from
+  const simulationParams = useDebounce(inputParams, SIMULATION_DEBOUNCE_MS);
+
+  // Dataset mean and volatility for the selected currency hedging
+  const datasetStatistics = useMemo(() => {
+    const { mean, stdDev } = engine.getReturnParameters({
+      ...simulationParams,
+      parameterSource: 'dataset'
+    });
+    return { ...nordicReturns.statistics, mean_return: mean, std_deviation: stdDev };
+  }, [engine, simulationParams]);
+
+  // Run Monte Carlo simulation with time series: a fixed number of paths, or
+  // the first batch of an adaptive run
+  const adaptiveOptions = useMemo(() => ({
+    targetError: targetPrecision / 100,
+    maxMillis: maxSeconds * 1000
+  }), [targetPrecision, maxSeconds]);
+
+  const firstResults = useMemo(() => {
     console.time('Simulation');
+    const raw = simulationMode === 'adaptive'
+      ? engine.runAdaptiveBatch(simulationParams, null, adaptiveOptions)
+      : engine.runSimulationWithTimeSeries({ ...simulationParams, numSimulations });
+    console.timeEnd('Simulation');
+    return raw;
+  }, [engine, simulationParams, simulationMode, numSimulations, adaptiveOptions]);
 
-    // Run Monte Carlo simulation with time series (10,000 iterations)
-    const rawResults = engine.runSimulationWithTimeSeries({
-      monthlyInvestment,
-      timeHorizon,
-      mortgageRate: mortgageRate / 100,  // Convert percentage to decimal
-      stockAllocation
+  // Later adaptive batches run one per timeout, so input stays responsive
+  // while the run grows; { first, run } ties the result to the run it extends
+  const [adaptiveRun, setAdaptiveRun] = useState(null);
+  useEffect(() => {
+    if (!firstResults.adaptive || firstResults.adaptive.stopReason) {
+      return undefined;
+    }
+    let run = firstResults;
+    let timer = null;
+    const nextBatch = () => {
+      run = engine.runAdaptiveBatch(simulationParams, run, adaptiveOptions);
+      setAdaptiveRun({ first: firstResults, run });
+      if (!run.adaptive.stopReason) {
+        timer = setTimeout(nextBatch, 0);
+      }
+    };
+    timer = setTimeout(nextBatch, 0);
+    return () => clearTimeout(timer);
+  }, [engine, simulationParams, adaptiveOptions, firstResults]);
+
+  const rawResults = adaptiveRun?.first === firstResults ? adaptiveRun.run : firstResults;
+
+  // After-tax stock value for each account type, and without costs, on the first paths
+  const rawStockComparison = useMemo(() => engine.compareStockVariants({
+    ...simulationParams,
+    numSimulations: STOCK_COMPARISON_SIMULATIONS
+  }, STOCK_VARIANTS), [engine, simulationParams]);
+
+  // Lump sum invested today vs used to prepay the mortgage, on the first paths
+  const rawLumpSumComparison = useMemo(() => (simulationParams.lumpSum > 0
+    ? engine.compareLumpSum({
+      ...simulationParams,
+      numSimulations: STOCK_COMPARISON_SIMULATIONS
+    })
+    : null), [engine, simulationParams]);
+
+  // Rule-based allocation against fixed allocations, on the first paths
+  const rawAllocationComparison = useMemo(() => (simulationParams.allocationRule !== 'fixed'
+    ? engine.compareAllocations({
+      ...simulationParams,
+      numSimulations: STOCK_COMPARISON_SIMULATIONS
+    }, ALLOCATION_VARIANTS)
+    : null), [engine, simulationParams]);
+
+  // Every actual historical window of the horizon, run once each
+  const rawBacktest = useMemo(() => engine.runBacktest(simulationParams), [engine, simulationParams]);
+
+  // Named crises from the dataset, then the user's saved sequences
+  const stressScenarios = useMemo(() => [
+    ...engine.getStressScenarios(simulationParams),
+    ...customStressScenarios.map(({ id, name, returns }) => ({
+      id,
+      name,
+      custom: true,
+      returns: returns.map(value => value / 100)
+    }))
+  ], [engine, simulationParams, customStressScenarios]);
+
+  // The chosen sequence replayed at the start, the end or a given year
+  const rawStressTest = useMemo(() => {
+    const scenario = stressScenarios.find(({ id }) => id === stressScenarioId) ?? stressScenarios[0];
+    if (!scenario || scenario.returns.length === 0) {
+      return null;
+    }
+    const { timeHorizon } = simulationParams;
+    const length = Math.min(scenario.returns.length, timeHorizon);
+    const startYear = { start: 1, end: timeHorizon - length + 1 }[stressPosition] ?? stressYear;
+    return {
+      scenario,
+      length,
+      ...engine.runStressTest(simulationParams, scenario, startYear)
+    };
+  }, [engine, simulationParams, stressScenarios, stressScenarioId, stressPosition, stressYear]);
+
+  // Each strategy with and without its liquidity shocks, on the first paths
+  const hasShocks = (simulationParams.shockProbability > 0 && simulationParams.shockAmount > 0)
+    || simulationParams.emergencyCost > 0;
+  const rawShockComparison = useMemo(() => (hasShocks
+    ? engine.compareShocks({
+      ...simulationParams,
+      numSimulations: STOCK_COMPARISON_SIMULATIONS
+    })
+    : null), [engine, simulationParams, hasShocks]);
+
+  // Goal mode: paths for each allocation up to the deadline, simulated again
+  // only when the parameters or the settled deadline change
+  const goalDeadline = goalType === 'none'
+    ? null
+    : (goalType === 'debtFree' ? targetAge - currentAge : goalYears);
+  const goalHorizon = useDebounce(goalDeadline, SIMULATION_DEBOUNCE_MS);
+  const goalPaths = useMemo(() => (goalHorizon !== null && goalHorizon >= 1
+    ? engine.simulateGoalPaths({
+      ...simulationParams,
+      numSimulations: STOCK_COMPARISON_SIMULATIONS
+    }, goalHorizon, GOAL_ALLOCATIONS)
+    : null), [engine, simulationParams, goalHorizon]);
+
+  // Probability and timing of reaching the goal, checked on those paths
+  const goalAnalysis = useMemo(() => (goalType !== 'none' && goalPaths
+    ? GoalAnalysis.analyzeAllocations({
+      type: goalType,
+      target: goalAmount,
+      real: valueMode === 'real'
+    }, goalPaths)
+    : null), [goalPaths, goalType, goalAmount, valueMode]);
+
+  // Allocation sweep, run on request since it simulates every grid point
+  const rawAllocationSweep = useMemo(() => (optimizerEnabled
+    ? engine.sweepAllocations({
+      ...simulationParams,
+      numSimulations: STOCK_COMPARISON_SIMULATIONS
+    }, OPTIMIZER_ALLOCATIONS)
+    : null), [engine, simulationParams, optimizerEnabled]);
+
+  // Statistics per allocation and the recommendation for the chosen objective
+  const allocationOptimizer = useMemo(() => {
+    if (!rawAllocationSweep) {
+      return null;
+    }
+    const sweep = valueMode === 'real'
+      ? { ...rawAllocationSweep, ...rawAllocationSweep.real }
+      : rawAllocationSweep;
+    const baseWealth = simulationParams.homeValue - simulationParams.loanBalance + simulationParams.otherNetWealth;
+    const points = AllocationOptimizer.summarize(sweep, { baseWealth, riskAversion });
+    return {
+      seed: rawAllocationSweep.seed,
+      objective: optimizerObjective,
+      baseWealth,
+      points,
+      recommendation: AllocationOptimizer.recommend(points, optimizerObjective, { minP5 })
+    };
+  }, [rawAllocationSweep, valueMode, simulationParams, riskAversion, optimizerObjective, minP5]);
+
+  // Each input down and up, and a two-way grid against the allocation
+  const rawSensitivity = useMemo(() => (sensitivityEnabled
+    ? engine.runSensitivity({
+      ...simulationParams,
+      numSimulations: SENSITIVITY_SIMULATIONS
+    })
+    : null), [engine, simulationParams, sensitivityEnabled]);
+
+  const rawSensitivityGrid = useMemo(() => {
+    if (!sensitivityEnabled) {
+      return null;
+    }
+    const input = SensitivityAnalysis.INPUTS.find(({ key }) => key === sensitivityGridKey)
+      ?? SensitivityAnalysis.INPUTS[0];
+    return engine.runSensitivityGrid({
+      ...simulationParams,
+      numSimulations: SENSITIVITY_SIMULATIONS
+    }, input);
+  }, [engine, simulationParams, sensitivityEnabled, sensitivityGridKey]);
+
+  const sensitivity = useMemo(() => {
+    if (!rawSensitivity || !rawSensitivityGrid) {
+      return null;
+    }
+    const real = valueMode === 'real';
+    const { key, rowValues, allocations } = rawSensitivityGrid;
+    return {
+      seed: rawSensitivity.seed,
+      ...SensitivityAnalysis.tornado(rawSensitivity, { real }),
+      grid: {
+        key,
+        rowValues,
+        allocations,
+        cells: SensitivityAnalysis.gridCells(rawSensitivityGrid, { real })
+      }
+    };
+  }, [rawSensitivity, rawSensitivityGrid, valueMode]);
+
+  // Everything put into the strategies: the contribution schedule, the lump
+  // sum and the existing portfolio at today's value
+  const totalContributed = useMemo(() => (
+    engine.getContributions(simulationParams).reduce((sum, amount) => sum + amount, 0)
+      + simulationParams.lumpSum
+      + simulationParams.existingPortfolio
+  ), [engine, simulationParams]);
+
+  // Summaries of the comparisons, which run on their own first paths and so
+  // stay the same while an adaptive run adds batches. Real values use each
+  // path's price level at the horizon.
+  const comparisons = useMemo(() => {
+    const { deflators } = rawStockComparison;
+    const deflate = (values) => (valueMode === 'real'
+      ? values.map((value, i) => value / deflators[i])
+      : values);
+    const medianOf = (values) => HistogramBinner.calculatePercentiles(values).p50;
+
+    // Account comparison: medians and the paired difference to an ordinary account
+    const ordinaryValues = deflate(rawStockComparison.ordinary.value);
+    const accounts = {};
+    for (const type of ['ordinary', 'ask', 'split']) {
+      const values = deflate(rawStockComparison[type].value);
+      accounts[type] = {
+        value: medianOf(values),
+        tax: medianOf(deflate(rawStockComparison[type].tax)),
+        difference: medianOf(values.map((value, i) => value - ordinaryValues[i]))
+      };
+    }
+
+    // Fees and trading costs: the drop in the after-tax median
+    const costDrag = medianOf(deflate(rawStockComparison.noCosts.value))
+      - medianOf(deflate(rawStockComparison.selected.value));
+
+    // Lump sum placement: medians and the paired difference
+    let lumpSumSummary = null;
+    if (rawLumpSumComparison) {
+      const invest = deflate(rawLumpSumComparison.invest);
+      const paydown = deflate(rawLumpSumComparison.paydown);
+      lumpSumSummary = {
+        invest: medianOf(invest),
+        paydown: medianOf(paydown),
+        difference: medianOf(invest.map((value, i) => value - paydown[i])),
+        probabilityInvestWins: HistogramBinner.calculateOutperformanceProbability(invest, paydown)
+      };
+    }
+
+    // Allocation strategies: percentiles, average stock share and how often the rule wins
+    let allocationSummary = null;
+    if (rawAllocationComparison) {
+      const ruleValues = deflate(rawAllocationComparison.rule.value);
+      allocationSummary = {};
+      for (const name of Object.keys(ALLOCATION_VARIANTS)) {
+        const values = deflate(rawAllocationComparison[name].value);
+        const { p5, p50, p95 } = HistogramBinner.calculatePercentiles(values);
+        allocationSummary[name] = {
+          p5,
+          p50,
+          p95,
+          averageAllocation: medianOf(rawAllocationComparison[name].averageAllocation),
+          probabilityRuleWins: HistogramBinner.calculateOutperformanceProbability(ruleValues, values)
+        };
+      }
+    }
+
+    // Liquidity shocks: how often they hit, and what they cost when they do
+    let shockSummary = null;
+    if (rawShockComparison) {
+      const { events } = rawShockComparison;
+      const hitCount = events.filter(count => count > 0).length;
+      const shareOf = (values) => values.filter(value => value > 0).length / values.length;
+      const summarizeShocks = (arrays) => {
+        const losses = deflate(arrays.loss).filter((_, i) => events[i] > 0);
+        const taxes = deflate(arrays.saleTax).filter((_, i) => events[i] > 0);
+        const lossPercentiles = hitCount > 0 ? HistogramBinner.calculatePercentiles(losses) : null;
+        return {
+          medianLoss: lossPercentiles ? lossPercentiles.p50 : 0,
+          p95Loss: lossPercentiles ? lossPercentiles.p95 : 0,
+          saleTax: hitCount > 0 ? medianOf(taxes) : 0,
+          probabilityCredit: shareOf(arrays.fromCredit),
+          probabilitySaleAfterDecline: shareOf(arrays.soldAfterDecline)
+        };
+      };
+      shockSummary = {
+        probabilityOfShock: hitCount / events.length,
+        stock: summarizeShocks(rawShockComparison.stock),
+        mortgage: summarizeShocks(rawShockComparison.mortgage)
+      };
+    }
+
+    return {
+      accounts,
+      costDrag,
+      lumpSum: lumpSumSummary,
+      allocation: allocationSummary,
+      shocks: shockSummary
+    };
+  }, [rawStockComparison, rawLumpSumComparison, rawAllocationComparison, rawShockComparison, valueMode]);
+
+  // Backtest windows in the chosen kroner, with the best and worst for stocks
+  const backtest = useMemo(() => {
+    const isReal = valueMode === 'real';
+    const windows = rawBacktest.map(({ startYear, endYear, stock, mortgage, real, events }) => {
+      const values = isReal ? real : { stock, mortgage };
+      return {
+        startYear,
+        endYear,
+        events,
+        stock: values.stock,
+        mortgage: values.mortgage,
+        difference: values.stock - values.mortgage
+      };
     });
+    if (windows.length === 0) {
+      return null;
+    }
+    const byDifference = [...windows].sort((a, b) => a.difference - b.difference);
+    return {
+      windows,
+      best: byDifference[byDifference.length - 1],
+      worst: byDifference[0],
+      shareStockWins: windows.filter(w => w.difference > 0).length / windows.length
+    };
+  }, [rawBacktest, valueMode]);
+
+  // Calculate statistics and chart data in nominal or real (today's) kroner
+  const results = useMemo(() => {
+    const isReal = valueMode === 'real';
+    const { timeHorizon, homeValue, loanTermYears } = simulationParams;
+    const { deflatorPaths } = rawResults.timeSeries;
+
+    // Deflate final values by each path's price level at the horizon
+    const deflate = (values) => (isReal
+      ? values.map((value, i) => value / deflatorPaths[i][timeHorizon])
+      : values);
+    const deflatePaths = (paths) => (isReal
+      ? paths.map((path, i) => path.map((value, year) => value / deflatorPaths[i][year]))
+      : paths);
+
+    const stockData = isReal ? rawResults.real.stock : rawResults.stock;
+    const mortgageData = isReal ? rawResults.real.mortgage : rawResults.mortgage;
 
     // Calculate statistics and percentiles for stock scenario
-    const stockStats = HistogramBinner.calculateStatistics(rawResults.stock);
-    const stockPercentiles = HistogramBinner.calculatePercentiles(rawResults.stock);
+    const stockStats = HistogramBinner.calculateStatistics(stockData);
+    const stockPercentiles = HistogramBinner.calculatePercentiles(stockData);
 
     // Calculate statistics and percentiles for mortgage scenario
-    const mortgageStats = HistogramBinner.calculateStatistics(rawResults.mortgage);
-    const mortgagePercentiles = HistogramBinner.calculatePercentiles(rawResults.mortgage);
+    const mortgageStats = HistogramBinner.calculateStatistics(mortgageData);
+    const mortgagePercentiles = HistogramBinner.calculatePercentiles(mortgageData);
 
     // Calculate probability of stocks outperforming mortgage
     const probabilityStockWins = HistogramBinner.calculateOutperformanceProbability(
-      rawResults.stock,
-      rawResults.mortgage
+      stockData,
+      mortgageData
     );
 
     // Compute time series bands for fan chart
-    const stockBands = computeTimeSeriesBands(
-      rawResults.timeSeries.stockPaths,
+    const { ratePaths, balancePaths, interestSavedPaths } = rawResults.timeSeries;
+    const stockPaths = deflatePaths(rawResults.timeSeries.stockPaths);
+    const stockBands = computeTimeSeriesBands(stockPaths, timeHorizon);
+    const mortgageBands = computeTimeSeriesBands(
+      deflatePaths(rawResults.timeSeries.mortgagePaths),
+      timeHorizon
+    );
+
+    // Rates apply to years 1..horizon; repeat the current rate at year 0
+    const rateBands = computeTimeSeriesBands(
+      ratePaths.map(path => [path[0], ...path]),
+      timeHorizon
+    );
+
+    const balances = {
+      baseline: computeMedianPath(deflatePaths(balancePaths.baseline), timeHorizon),
+      stock: computeMedianPath(deflatePaths(balancePaths.stock), timeHorizon),
+      mortgage: computeMedianPath(deflatePaths(balancePaths.mortgage), timeHorizon)
+    };
+    const interestSaved = {
+      stock: computeMedianPath(deflatePaths(interestSavedPaths.stock), timeHorizon),
+      mortgage: computeMedianPath(deflatePaths(interestSavedPaths.mortgage), timeHorizon)
+    };
+    const homeValues = computeMedianPath(
+      deflatorPaths.map(path => path.map(level => (isReal ? homeValue / level : homeValue))),
       timeHorizon
     );
-    const mortgagePath = rawResults.timeSeries.mortgagePath;
 
     const timeSeriesData = stockBands.map((band, i) => ({
       ...band,
-      mortgage: mortgagePath[i]
+      mortgage: mortgageBands[i].p50,
+      mortgageP5: mortgageBands[i].p5,
+      mortgageP95: mortgageBands[i].p95,
+      rateP5: rateBands[i].p5,
+      rateP50: rateBands[i].p50,
+      rateP95: rateBands[i].p95,
+      balanceBaseline: Math.max(0, balances.baseline[i]),
+      balanceStock: Math.max(0, balances.stock[i]),
+      balanceMortgage: Math.max(0, balances.mortgage[i]),
+      equityStock: homeValues[i] - Math.max(0, balances.stock[i]),
+      equityMortgage: homeValues[i] - Math.max(0, balances.mortgage[i]),
+      interestSavedStock: interestSaved.stock[i],
+      interestSavedMortgage: interestSaved.mortgage[i]
     }));
 
-    console.timeEnd('Simulation');
+    // Median loan outcomes per strategy
+    const medianOf = (values) => HistogramBinner.calculatePercentiles(values).p50;
+    const summarizeLoan = (arrays) => ({
+      interestSaved: medianOf(deflate(arrays.interestSaved)),
+      payoffMonth: medianOf(arrays.payoffMonth),
+      remainingBalance: medianOf(deflate(arrays.remainingBalance)),
+      homeEquity: medianOf(deflate(arrays.homeEquity))
+    });
+    // Fees and trading costs: total paid, and the drop in the after-tax median
+    const costs = {
+      total: medianOf(deflate(rawResults.costs)),
+      medianDrag: comparisons.costDrag
+    };
+
+    // Stress test outcome and where it falls among the Monte Carlo outcomes
+    let stressTest = null;
+    if (rawStressTest) {
+      const { scenario, length, startYear, real } = rawStressTest;
+      const values = isReal ? real : rawStressTest;
+      const rankIn = (data, value) => data.filter(outcome => outcome < value).length / data.length;
+      stressTest = {
+        scenarioId: scenario.id,
+        name: scenario.name,
+        startYear,
+        endYear: startYear + length - 1,
+        returns: rawStressTest.returns,
+        stock: values.stock,
+        mortgage: values.mortgage,
+        stockRank: rankIn(stockData, values.stock),
+        mortgageRank: rankIn(mortgageData, values.mortgage)
+      };
+    }
+
+    // Downside risk: tail means, ending below what was put in (nominal), the
+    // stock strategy falling behind paydown by more than the threshold, and
+    // the largest fall from a peak of each path's return index, which new
+    // contributions cannot hide
+    const drawdowns = deflatePaths(rawResults.timeSeries.returnIndexPaths)
+      .map(path => Statistics.maxDrawdown(path));
+    const risk = {
+      totalContributed,
+      shortfallThreshold,
+      stock: {
+        cvar5: stockStats.cvar5,
+        cvar1: stockStats.cvar1,
+        probabilityBelowContributed: Statistics.probabilityBelow(rawResults.stock, totalContributed)
+      },
+      mortgage: {
+        cvar5: mortgageStats.cvar5,
+        cvar1: mortgageStats.cvar1,
+        probabilityBelowContributed: Statistics.probabilityBelow(rawResults.mortgage, totalContributed)
+      },
+      probabilityShortfall: Statistics.probabilityBelow(
+        stockData.map((value, i) => value - mortgageData[i]),
+        -shortfallThreshold
+      ),
+      drawdown: {
+        percentiles: HistogramBinner.calculatePercentiles(drawdowns),
+        buckets: DRAWDOWN_BUCKETS.slice(1).map((upper, index) => {
+          const lower = DRAWDOWN_BUCKETS[index];
+          const isLast = index === DRAWDOWN_BUCKETS.length - 2;
+          const count = drawdowns.filter(value => value >= lower && (value < upper || isLast)).length;
+          return { lower, upper, share: count / drawdowns.length };
+        })
+      }
+    };
+
+    // Sampling error of the headline numbers (95% intervals)
+    const precision = {
+      numSimulations: stockData.length,
+      adaptive: rawResults.adaptive ?? null,
+      probabilityStockWins: SamplingError.proportion(probabilityStockWins, stockData.length),
+      stock: SamplingError.summarize(stockData),
+      mortgage: SamplingError.summarize(mortgageData)
+    };
+
+    const summarizeTax = (arrays) => ({
+      capitalGains: medianOf(deflate(arrays.capitalGains)),
+      shieldingUsed: medianOf(deflate(arrays.shieldingUsed)),
+      lostDeduction: medianOf(deflate(arrays.lostDeduction)),
+      wealthTax: medianOf(deflate(arrays.wealthTax))
+    });
 
     return {
+      seed: rawResults.seed,
+      valueMode,
+      timeHorizon,
       stock: {
-        data: rawResults.stock,
+        data: stockData,
         stats: stockStats,
         percentiles: stockPercentiles
       },
       mortgage: {
-        data: rawResults.mortgage,
+        data: mortgageData,
         stats: mortgageStats,
         percentiles: mortgagePercentiles
       },
@@ -75,9 +746,40 @@ export const useSimulation = () => {
         probabilityStockWins,
         probabilityMortgageWins: 1 - probabilityStockWins
       },
+      annualizedReturns: {
+        nominal: HistogramBinner.calculatePercentiles(rawResults.annualizedReturns.nominal),
+        real: HistogramBinner.calculatePercentiles(rawResults.annualizedReturns.real)
+      },
+      tax: {
+        stock: summarizeTax(rawResults.tax.stock),
+        mortgage: summarizeTax(rawResults.tax.mortgage)
+      },
+      accounts: comparisons.accounts,
+      costs,
+      lumpSum: comparisons.lumpSum,
+      allocation: comparisons.allocation,
+      shocks: comparisons.shocks,
+      backtest,
+      stressTest,
+      risk,
+      precision,
+      loan: {
+        stock: summarizeLoan(rawResults.loan.stock),
+        mortgage: summarizeLoan(rawResults.loan.mortgage),
+        baselinePayoffMonth: loanTermYears * 12
+      },
       timeSeriesData
     };
-  }, [monthlyInvestment, timeHorizon, mortgageRate, stockAllocation, engine]);
+  }, [
+    rawResults,
+    comparisons,
+    backtest,
+    rawStressTest,
+    totalContributed,
+    shortfallThreshold,
+    valueMode,
+    simulationParams
+  ]);
 
   // Return all state and setters
   return {
@@ -86,14 +788,149 @@ export const useSimulation = () => {
     timeHorizon,
     mortgageRate,
     stockAllocation,
+    contributionTiming,
+    loanBalance,
+    loanTermYears,
+    loanType,
+    homeValue,
+    rateModel,
+    longRunRate,
+    rateVolatility,
+    rateEquityCorrelation,
+    samplingMethod,
+    blockLength,
+    returnModel,
+    parameterSource,
+    expectedReturn,
+    returnVolatility,
+    degreesOfFreedom,
+    seed,
+    inflationModel,
+    inflationRate,
+    valueMode,
+    shieldingRate,
+    interestDeductionRate,
+    accountType,
+    askShare,
+    dividendYield,
+    wealthTax,
+    otherNetWealth,
+    annualFee,
+    purchaseFee,
+    transactionCost,
+    currencyMode,
+    hedgeCarry,
+    portfolioWeights,
+    allocationRule,
+    contributionGrowth,
+    contributionEvents,
+    lumpSum,
+    existingPortfolio,
+    existingCostBasis,
+    shockProbability,
+    shockAmount,
+    emergencyCost,
+    emergencyYear,
+    reborrow,
+    creditRate,
+    goalType,
+    currentAge,
+    targetAge,
+    goalYears,
+    goalAmount,
+    stressScenarioId,
+    stressPosition,
+    stressYear,
+    stressScenarios,
+    customStressScenarios,
+    optimizerEnabled,
+    optimizerObjective,
+    riskAversion,
+    minP5,
+    sensitivityEnabled,
+    sensitivityGridKey,
+    shortfallThreshold,
+    simulationMode,
+    numSimulations,
+    targetPrecision,
+    maxSeconds,
+    datasetStatistics,
 
     // Simulation results
     results,
+    goalAnalysis,
+    allocationOptimizer,
+    sensitivity,
 
     // Setter functions
     setMonthlyInvestment,
     setTimeHorizon,
     setMortgageRate,
-    setStockAllocation
+    setStockAllocation,
+    setContributionTiming,
+    setLoanBalance,
+    setLoanTermYears,
+    setLoanType,
+    setHomeValue,
+    setRateModel,
+    setLongRunRate,
+    setRateVolatility,
+    setRateEquityCorrelation,
+    setSamplingMethod,
+    setBlockLength,
+    setReturnModel,
+    setParameterSource,
+    setExpectedReturn,
+    setReturnVolatility,
+    setDegreesOfFreedom,
+    setSeed,
+    setInflationModel,
+    setInflationRate,
+    setValueMode,
+    setShieldingRate,
+    setInterestDeductionRate,
+    setAccountType,
+    setAskShare,
+    setDividendYield,
+    setWealthTax,
+    setOtherNetWealth,
+    setAnnualFee,
+    setPurchaseFee,
+    setTransactionCost,
+    setCurrencyMode,
+    setHedgeCarry,
+    setPortfolioWeights,
+    setLumpSum,
+    setExistingPortfolio,
+    setExistingCostBasis,
+    setContributionGrowth,
+    setContributionEvents,
+    setAllocationRule,
+    setShockProbability,
+    setShockAmount,
+    setEmergencyCost,
+    setEmergencyYear,
+    setReborrow,
+    setCreditRate,
+    setGoalType,
+    setCurrentAge,
+    setTargetAge,
+    setGoalYears,
+    setGoalAmount,
+    setStressScenarioId,
+    setStressPosition,
+    setStressYear,
+    setCustomStressScenarios,
+    setOptimizerEnabled,
+    setOptimizerObjective,
+    setRiskAversion,
+    setMinP5,
+    setSensitivityEnabled,
+    setSensitivityGridKey,
+    setShortfallThreshold,
+    setSimulationMode,
+    setNumSimulations,
+    setTargetPrecision,
+    setMaxSeconds
   };
 };
@@ -0,0 +1,100 @@
+/**
+ * Allocation Optimizer
+ * Summarizes a sweep of fixed stock allocations run on the same paths and
+ * picks the allocation that best meets an objective:
+ *
+ *   'median'  - the highest median outcome
+ *   'utility' - the highest CRRA expected utility for a given risk aversion,
+ *               reported as a certainty equivalent
+ *   'floor'   - the highest median among allocations whose 5th percentile
+ *               is at least a chosen floor
+ *
+ * Utility is taken over wealth at the horizon: today's net worth (home less
+ * the loan plus other net wealth) plus the outcome of the strategy, so a
+ * loss is weighed against everything the household owns rather than
+ * against the extra payments alone.
+ */
+
+import { HistogramBinner } from './histogramBinner';
+
+const MIN_WEALTH = 1; // CRRA utility is only defined for positive wealth
+
+export class AllocationOptimizer {
+  /**
+   * Outcome statistics for each allocation in a sweep
+   *
+   * @param {Object} sweep - { allocations, stock (values per allocation),
+   *   mortgage (values per path) }, from MonteCarloEngine.sweepAllocations
+   * @param {Object} options - { baseWealth, riskAversion }
+   * @returns {Array<Object>} - { allocation, median, p5, mean,
+   *   probabilityStockWins, certaintyEquivalent } per allocation
+   */
+  static summarize(sweep, options = {}) {
+    const { baseWealth = 0, riskAversion = 3 } = options;
+
+    return sweep.allocations.map((allocation, index) => {
+      const values = sweep.stock[index];
+      const percentiles = HistogramBinner.calculatePercentiles(values);
+      return {
+        allocation,
+        median: percentiles.p50,
+        p5: percentiles.p5,
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        probabilityStockWins: HistogramBinner.calculateOutperformanceProbability(values, sweep.mortgage),
+        certaintyEquivalent: this.certaintyEquivalent(values, baseWealth, riskAversion)
+      };
+    });
+  }
+
+  /**
+   * Sure outcome with the same CRRA expected utility as the simulated ones
+   *
+   * U(W) = W^(1-γ) / (1-γ), or ln(W) for γ = 1, with W = baseWealth + value
+   * floored at MIN_WEALTH.
+   *
+   * @param {Array<number>} values - Outcome of each path
+   * @param {number} baseWealth - Wealth the outcomes are added to
+   * @param {number} riskAversion - Relative risk aversion γ (≥ 0)
+   * @returns {number} - Certainty equivalent, on the same scale as values
+   */
+  static certaintyEquivalent(values, baseWealth, riskAversion) {
+    const wealth = values.map(value => Math.max(MIN_WEALTH, baseWealth + value));
+
+    if (Math.abs(riskAversion - 1) < 1e-9) {
+      const meanLog = wealth.reduce((sum, w) => sum + Math.log(w), 0) / wealth.length;
+      return Math.exp(meanLog) - baseWealth;
+    }
+
+    // Utility relative to the base wealth keeps the powers within range
+    const scale = Math.max(MIN_WEALTH, baseWealth);
+    const exponent = 1 - riskAversion;
+    const meanPower = wealth.reduce((sum, w) => sum + Math.pow(w / scale, exponent), 0) / wealth.length;
+    return scale * Math.pow(meanPower, 1 / exponent) - baseWealth;
+  }
+
+  /**
+   * Best allocation for an objective
+   *
+   * @param {Array<Object>} points - Output of summarize
+   * @param {string} objective - 'median', 'utility' or 'floor'
+   * @param {Object} options - { minP5 } for the floor objective
+   * @returns {Object|null} - The chosen point, or null when no allocation
+   *   meets the floor
+   */
+  static recommend(points, objective = 'median', options = {}) {
+    const { minP5 = 0 } = options;
+
+    const candidates = objective === 'floor'
+      ? points.filter(point => point.p5 >= minP5)
+      : points;
+    const score = objective === 'utility'
+      ? point => point.certaintyEquivalent
+      : point => point.median;
+
+    // Ties go to the lower allocation, the less risky choice
+    return candidates.reduce(
+      (best, point) => (best === null || score(point) > score(best) ? point : best),
+      null
+    );
+  }
+}
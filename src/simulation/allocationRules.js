@@ -0,0 +1,107 @@
+/**
+ * Allocation Rules
+ * Year-by-year stock share of the contributions, evaluated along each
+ * simulated path instead of one fixed allocation for the whole horizon
+ *
+ * A rule is a plain object:
+ *   type: 'fixed'      - the base allocation (the slider) every year
+ *         'glidePath'  - start share until the glide begins, then a straight
+ *                        line to the end share in the final year
+ *   start, end, glideYears - glide path settings (start defaults to the base)
+ *   drawdownThreshold  - optional: when the portfolio's return index is more
+ *                        than this far below its peak at the start of a year,
+ *   drawdownAllocation   that year's share is replaced by this one
+ *
+ * The drawdown is measured on the return index, not the account value, so
+ * new contributions do not hide a falling market.
+ */
+
+export class AllocationRules {
+  static PRESETS = {
+    fixed: { type: 'fixed' },
+    glidePath: { type: 'glidePath', start: 0.8, end: 0.2, glideYears: 5 },
+    drawdownSwitch: { type: 'fixed', drawdownThreshold: 0.2, drawdownAllocation: 0 },
+    protectedGlidePath: {
+      type: 'glidePath',
+      start: 0.8,
+      end: 0.2,
+      glideYears: 5,
+      drawdownThreshold: 0.2,
+      drawdownAllocation: 0
+    }
+  };
+
+  /**
+   * Rule object for a preset name, or the rule itself
+   *
+   * @param {string|Object} rule - Key of PRESETS or a rule object
+   * @returns {Object} - Rule object (fixed for unknown names)
+   */
+  static resolve(rule = 'fixed') {
+    if (typeof rule === 'string') {
+      return this.PRESETS[rule] ?? this.PRESETS.fixed;
+    }
+    return rule;
+  }
+
+  /**
+   * Stock share for every year of one path
+   *
+   * @param {string|Object} rule - Preset name or rule object
+   * @param {Array<number>} returns - The path's annual returns
+   * @param {number} baseAllocation - Fixed share from the slider (0-1)
+   * @returns {Array<number>} - Share of each year's contributions to stocks (0-1)
+   */
+  static evaluatePath(rule, returns, baseAllocation) {
+    const resolved = this.resolve(rule);
+    const years = returns.length;
+    const shares = new Array(years);
+
+    let index = 1;
+    let peak = 1;
+    for (let year = 0; year < years; year++) {
+      shares[year] = this.allocationAt(resolved, {
+        year,
+        years,
+        drawdown: 1 - index / peak,
+        baseAllocation
+      });
+      index *= 1 + returns[year];
+      peak = Math.max(peak, index);
+    }
+
+    return shares;
+  }
+
+  /**
+   * Stock share for one year
+   *
+   * @param {Object} rule - Rule object
+   * @param {Object} state - { year (0 = first), years, drawdown (0-1), baseAllocation }
+   * @returns {number} - Share of the year's contributions to stocks (0-1)
+   */
+  static allocationAt(rule, state) {
+    const { year, years, drawdown = 0, baseAllocation } = state;
+    const { drawdownThreshold, drawdownAllocation = 0 } = rule;
+
+    if (drawdownThreshold !== undefined && drawdown > drawdownThreshold) {
+      return clampShare(drawdownAllocation);
+    }
+
+    if (rule.type === 'glidePath') {
+      const { start = baseAllocation, end = baseAllocation, glideYears = 5 } = rule;
+      const glideStart = years - Math.max(1, glideYears);
+      if (year < glideStart) {
+        return clampShare(start);
+      }
+      const progress = (year - glideStart + 1) / Math.max(1, glideYears);
+      return clampShare(start + (end - start) * Math.min(1, progress));
+    }
+
+    return clampShare(baseAllocation);
+  }
+}
+
+function clampShare(share) {
+  return Math.min(1, Math.max(0, share));
+}
@@ -0,0 +1,78 @@
+/**
+ * Contribution Schedule
+ * Turns a starting monthly amount, yearly wage growth and dated events into
+ * the amount available each month, which both strategies then split by the
+ * allocation
+ */
+
+export class ContributionSchedule {
+  /**
+   * Amount contributed in every month of the horizon
+   *
+   * The monthly amount grows by the growth rate at the start of each year
+   * after the first. Events are dated by simulation year (1 = first year)
+   * and month (1-12):
+   *   pause:   { type, year, month, months } - nothing is contributed for
+   *            the given number of months; growth still accrues
+   *   change:  { type, year, month, amount } - new monthly amount from that
+   *            month, growing from there
+   *   deposit: { type, year, month, amount } - one-off amount on top of
+   *            that month's contribution
+   *
+   * @param {number} monthlyAmount - Contribution per month today (NOK)
+   * @param {number} years - Horizon in years
+   * @param {Object} options - { growthRate, events }
+   * @returns {Array<number>} - Contribution for each month (years × 12)
+   */
+  static build(monthlyAmount, years, options = {}) {
+    const { growthRate = 0, events = [] } = options;
+    const months = years * 12;
+    const amounts = new Array(months);
+    const eventsByMonth = this.groupByMonth(events, months);
+
+    let base = monthlyAmount;
+    let pausedUntil = -1;
+
+    for (let m = 0; m < months; m++) {
+      if (m > 0 && m % 12 === 0) {
+        base *= 1 + growthRate;
+      }
+
+      let deposit = 0;
+      for (const event of eventsByMonth[m] ?? []) {
+        switch (event.type) {
+          case 'pause':
+            pausedUntil = Math.max(pausedUntil, m + Math.max(0, Math.round(event.months ?? 0)) - 1);
+            break;
+          case 'change':
+            base = Math.max(0, event.amount ?? 0);
+            break;
+          case 'deposit':
+            deposit += Math.max(0, event.amount ?? 0);
+            break;
+          default:
+            break;
+        }
+      }
+
+      amounts[m] = (m <= pausedUntil ? 0 : base) + deposit;
+    }
+
+    return amounts;
+  }
+
+  /**
+   * Events indexed by month of the horizon; events outside it are dropped
+   */
+  static groupByMonth(events, months) {
+    const byMonth = {};
+    for (const event of events) {
+      const index = (Math.round(event.year) - 1) * 12 + (Math.round(event.month ?? 1) - 1);
+      if (index < 0 || index >= months) {
+        continue;
+      }
+      (byMonth[index] ??= []).push(event);
+    }
+    return byMonth;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Goal Analysis
+ * Turns simulated paths into the answer to a concrete question: how likely
+ * is the household to reach a goal by a deadline, and when is it reached?
+ *
+ * A goal is a plain object:
+ *   type:   'debtFree' - the stock holdings, sold after gains tax, would
+ *                        clear what is left of the loan
+ *           'netWorth' - home value less the loan balance plus the stock
+ *                        holdings after gains tax reaches the target
+ *   years:  deadline in years from today
+ *   target: net worth target (NOK), in today's kroner when real is set
+ *   real:   compare the net worth with the target after inflation
+ *
+ * Goals are checked at each year end, so the date reached is a year.
+ */
+
+import { HistogramBinner } from './histogramBinner';
+
+export class GoalAnalysis {
+  /**
+   * First year end at which one path meets the goal
+   *
+   * @param {Object} goal - { type, years, target, real }
+   * @param {Object} path - { balances, liquidationValues, deflators, homeValue };
+   *   yearly arrays from year 0 (today)
+   * @returns {number|null} - Year the goal is met (0 = already met), or null
+   *   when it is not met by the deadline
+   */
+  static reachedYear(goal, path) {
+    const { balances, liquidationValues, deflators, homeValue = 0 } = path;
+    const lastYear = Math.min(goal.years, balances.length - 1);
+
+    for (let year = 0; year <= lastYear; year++) {
+      if (goal.type === 'debtFree') {
+        if (Math.max(0, balances[year]) <= liquidationValues[year]) {
+          return year;
+        }
+        continue;
+      }
+
+      const netWorth = homeValue - balances[year] + liquidationValues[year];
+      const level = goal.real && deflators ? deflators[year] : 1;
+      if (netWorth / level >= goal.target) {
+        return year;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Probability of meeting the goal and the distribution of when it is met
+   *
+   * @param {Object} goal - { type, years, target, real }
+   * @param {Object} timeSeries - timeSeries from runSimulationWithTimeSeries
+   * @param {Object} options - { homeValue, strategy ('stock' or 'mortgage') }
+   * @returns {Object} - { probability, reachedYears (percentiles of the year
+   *   among paths that meet the goal, or null), cumulative (share of paths
+   *   that have met it by each year end) }
+   */
+  static analyze(goal, timeSeries, options = {}) {
+    const { homeValue = 0, strategy = 'stock' } = options;
+    const { balancePaths, liquidationPaths, deflatorPaths } = timeSeries;
+    const balances = balancePaths[strategy];
+    const liquidationValues = liquidationPaths[strategy];
+    const numPaths = balances.length;
+
+    const reached = [];
+    const reachedByYear = new Array(goal.years + 1).fill(0);
+    for (let i = 0; i < numPaths; i++) {
+      const year = this.reachedYear(goal, {
+        balances: balances[i],
+        liquidationValues: liquidationValues[i],
+        deflators: deflatorPaths[i],
+        homeValue
+      });
+      if (year !== null) {
+        reached.push(year);
+        reachedByYear[year]++;
+      }
+    }
+
+    let total = 0;
+    const cumulative = reachedByYear.map((count, year) => {
+      total += count;
+      return { year, probability: numPaths > 0 ? total / numPaths : 0 };
+    });
+
+    return {
+      probability: numPaths > 0 ? reached.length / numPaths : 0,
+      reachedYears: reached.length > 0 ? HistogramBinner.calculatePercentiles(reached) : null,
+      cumulative
+    };
+  }
+
+  /**
+   * The goal checked for every allocation in a set of goal paths
+   *
+   * @param {Object} goal - { type, target, real }; years is taken from the paths
+   * @param {Object} goalPaths - Output of MonteCarloEngine.simulateGoalPaths
+   * @returns {Object} - { seed, goal, results: [{ allocation, probability,
+   *   reachedYears, cumulative }] }
+   */
+  static analyzeAllocations(goal, goalPaths) {
+    const { seed, years, homeValue, runs } = goalPaths;
+    const fullGoal = { ...goal, years };
+
+    return {
+      seed,
+      goal: fullGoal,
+      results: runs.map(({ allocation, timeSeries }) => ({
+        allocation,
+        ...this.analyze(fullGoal, timeSeries, { homeValue })
+      }))
+    };
+  }
+}
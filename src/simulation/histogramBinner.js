@@ -118,7 +118,8 @@ export class HistogramBinner {
   /**
    * Calculate comprehensive statistics for simulation results
    * @param {Array<number>} data - Simulation results
-   * @returns {Object} - Statistics including mean, median, std dev, etc.
+   * @returns {Object} - Statistics including mean, median, std dev,
+   *   expected shortfall (cvar5, cvar1), etc.
    */
   static calculateStatistics(data) {
     if (!data || data.length === 0) {
@@ -139,12 +140,20 @@ export class HistogramBinner {
     // Percentiles
     const percentiles = this.calculatePercentiles(data);
 
+    // Expected shortfall (CVaR): mean of the worst 5% and 1% of outcomes
+    const tailMean = (share) => {
+      const count = Math.max(1, Math.floor(n * share));
+      return sorted.slice(0, count).reduce((sum, val) => sum + val, 0) / count;
+    };
+
     return {
       mean,
       median: percentiles.p50,
       stdDev,
       min: sorted[0],
       max: sorted[n - 1],
+      cvar5: tailMean(0.05),
+      cvar1: tailMean(0.01),
       ...percentiles
     };
   }
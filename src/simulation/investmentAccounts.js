@@ -0,0 +1,523 @@
+/**
+ * Investment Accounts
+ * Norwegian account types for the stock allocation: an ordinary securities
+ * account with a lot-by-lot ledger, an aksjesparekonto (ASK) with tax
+ * deferred until withdrawal, and a split between the two
+ *
+ * All accounts share one interface: addHolding, buy, applyReturn, chargeFee,
+ * applyShielding, receiveDividend, sell and liquidate, plus value, taxPaid,
+ * shieldingUsed and costsPaid.
+ *
+ * Trading costs: a fixed fee per purchase and a transaction cost (spread)
+ * on every purchase and sale. Purchase costs are part of the cost basis and
+ * sale costs reduce the proceeds, as in the tax rules.
+ */
+
+import { TaxCalculator } from './taxCalculator';
+
+export const ACCOUNT_TYPES = ['ordinary', 'ask', 'split'];
+
+export class OrdinaryAccount {
+  /**
+   * @param {Object} options - { taxRate, purchaseFee, transactionCost }
+   *   taxRate: effective rate on taxable gains
+   *   purchaseFee: fixed NOK fee per purchase
+   *   transactionCost: share of each trade lost to spread and commission
+   */
+  constructor({
+    taxRate = TaxCalculator.CAPITAL_GAINS_RATE,
+    purchaseFee = 0,
+    transactionCost = 0
+  } = {}) {
+    this.taxRate = taxRate;
+    this.purchaseFee = purchaseFee;
+    this.transactionCost = transactionCost;
+    this.costsPaid = 0;
+    this.price = 1;       // Every lot holds units of the same fund
+    this.units = 0;
+    this.lots = [];       // Oldest first: { units, cost, unusedShielding }
+    this.shieldingGranted = 0;
+    this.shieldingUsed = 0;
+    this.taxPaid = 0;
+  }
+
+  /**
+   * Market value of all units
+   */
+  get value() {
+    return this.units * this.price;
+  }
+
+  /**
+   * Total purchase cost of the units still held
+   */
+  get costBasis() {
+    return this.lots.reduce((sum, lot) => sum + lot.cost, 0);
+  }
+
+  /**
+   * Buy units for a cash amount, opening a new lot
+   *
+   * @param {number} amount - NOK paid, trading costs included
+   */
+  buy(amount) {
+    if (amount <= 0) {
+      return;
+    }
+
+    const costs = calculatePurchaseCosts(amount, this.purchaseFee, this.transactionCost);
+    this.costsPaid += costs;
+    this.addLot(amount - costs, amount);
+  }
+
+  /**
+   * Take over units already held, at market value with their own cost basis
+   * The lot is the oldest, so it is sold first.
+   *
+   * @param {number} value - Market value today
+   * @param {number} costBasis - Original purchase cost (inngangsverdi)
+   */
+  addHolding(value, costBasis = value) {
+    this.addLot(value, Math.max(0, costBasis));
+  }
+
+  /**
+   * Open a lot without trading costs (reinvested dividends)
+   *
+   * @param {number} invested - NOK converted to units
+   * @param {number} cost - Cost basis of the lot
+   */
+  addLot(invested, cost = invested) {
+    if (invested <= 0) {
+      return;
+    }
+
+    const units = invested / this.price;
+    this.lots.push({ units, cost, unusedShielding: 0 });
+    this.units += units;
+  }
+
+  /**
+   * Apply a market return to all units
+   *
+   * @param {number} periodReturn - Return for the period (e.g., 0.01 for 1%)
+   */
+  applyReturn(periodReturn) {
+    this.price *= 1 + periodReturn;
+  }
+
+  /**
+   * Deduct the fund's ongoing fee from the unit price
+   *
+   * @param {number} feeRate - Fee for the period (e.g., 0.002 / 12)
+   * @returns {number} - Fee paid
+   */
+  chargeFee(feeRate) {
+    const fee = this.value * feeRate;
+    this.price *= 1 - feeRate;
+    this.costsPaid += fee;
+    return fee;
+  }
+
+  /**
+   * Grant the year's shielding deduction to every lot held at year end
+   * Nothing is taxed yearly without dividends, so all of it is carried
+   * forward and raises each lot's shielding base for the next year.
+   *
+   * @param {number} shieldingRate - Shielding rate for the year
+   * @returns {number} - Shielding granted this year
+   */
+  applyShielding(shieldingRate) {
+    let granted = 0;
+    for (const lot of this.lots) {
+      const shielding = TaxCalculator.calculateShielding(
+        lot.cost + lot.unusedShielding,
+        shieldingRate
+      );
+      lot.unusedShielding += shielding;
+      granted += shielding;
+    }
+
+    this.shieldingGranted += granted;
+    return granted;
+  }
+
+  /**
+   * Pay the year's dividend and reinvest it after tax
+   *
+   * Dividends are taxed in the year they are paid. Each lot's unused
+   * shielding is deducted from its dividend first, so call applyShielding
+   * for the year before this. The net dividend buys a new lot.
+   *
+   * @param {number} dividendYield - Dividend as a share of value (e.g., 0.03)
+   * @returns {Object} - { dividend, tax }
+   */
+  receiveDividend(dividendYield) {
+    if (dividendYield <= 0 || this.units === 0) {
+      return { dividend: 0, tax: 0 };
+    }
+
+    const dividendPerUnit = this.price * dividendYield;
+    let taxableDividend = 0;
+    let shieldingUsed = 0;
+
+    for (const lot of this.lots) {
+      const dividend = lot.units * dividendPerUnit;
+      const used = Math.min(dividend, lot.unusedShielding);
+      lot.unusedShielding -= used;
+      shieldingUsed += used;
+      taxableDividend += dividend - used;
+    }
+
+    // The payout comes out of the fund's value
+    const dividend = this.units * dividendPerUnit;
+    const tax = taxableDividend * this.taxRate;
+    this.price -= dividendPerUnit;
+    this.addLot(dividend - tax);
+
+    this.shieldingUsed += shieldingUsed;
+    this.taxPaid += tax;
+    return { dividend, tax };
+  }
+
+  /**
+   * Sell units worth a cash amount, oldest lots first (FIFO)
+   *
+   * Each lot's gain is reduced by its own unused shielding, which cannot
+   * turn a gain into a loss. Shielding on sold units is used up or lost.
+   *
+   * @param {number} amount - NOK to raise before tax
+   * @returns {Object} - { proceeds, cost, taxableGain, shieldingUsed, tax }
+   */
+  sell(amount) {
+    return this.sellUnits(Math.max(0, amount) / this.price);
+  }
+
+  /**
+   * Sell a number of units FIFO (Infinity sells every lot)
+   */
+  sellUnits(unitsToSell) {
+    const sale = { proceeds: 0, cost: 0, taxableGain: 0, shieldingUsed: 0, tax: 0 };
+
+    while (unitsToSell > 0 && this.lots.length > 0) {
+      const lot = this.lots[0];
+      const units = Math.min(lot.units, unitsToSell);
+      const share = units / lot.units;
+
+      const grossProceeds = units * this.price;
+      const saleCosts = grossProceeds * this.transactionCost;
+      const proceeds = grossProceeds - saleCosts;
+      const cost = lot.cost * share;
+      const unusedShielding = lot.unusedShielding * share;
+      const { taxableGain, shieldingUsed } = TaxCalculator.calculateTaxableGain(
+        proceeds,
+        cost,
+        unusedShielding
+      );
+
+      this.costsPaid += saleCosts;
+      sale.proceeds += proceeds;
+      sale.cost += cost;
+      sale.taxableGain += taxableGain;
+      sale.shieldingUsed += shieldingUsed;
+
+      if (units >= lot.units) {
+        this.lots.shift();
+      } else {
+        lot.units -= units;
+        lot.cost -= cost;
+        lot.unusedShielding -= unusedShielding;
+      }
+      this.units -= units;
+      unitsToSell -= units;
+    }
+
+    if (this.lots.length === 0) {
+      this.units = 0;
+    }
+
+    // Losses are deductible, so a net loss gives a tax credit
+    sale.tax = sale.taxableGain * this.taxRate;
+    this.shieldingUsed += sale.shieldingUsed;
+    this.taxPaid += sale.tax;
+    return sale;
+  }
+
+  /**
+   * Sell everything
+   *
+   * @returns {Object} - Sale result from sell()
+   */
+  liquidate() {
+    return this.sellUnits(Infinity);
+  }
+}
+
+/**
+ * Aksjesparekonto (ASK)
+ * Gains and dividends stay untaxed inside the account. Withdrawals up to the
+ * amount deposited are tax-free; anything beyond that is a taxable gain,
+ * reduced by the account's unused shielding.
+ */
+export class AskAccount {
+  /**
+   * @param {Object} options - { taxRate, purchaseFee, transactionCost }
+   */
+  constructor({
+    taxRate = TaxCalculator.CAPITAL_GAINS_RATE,
+    purchaseFee = 0,
+    transactionCost = 0
+  } = {}) {
+    this.taxRate = taxRate;
+    this.purchaseFee = purchaseFee;
+    this.transactionCost = transactionCost;
+    this.costsPaid = 0;
+    this.value = 0;
+    this.deposits = 0;          // Deposit base (innskudd) not yet withdrawn
+    this.unusedShielding = 0;
+    this.shieldingGranted = 0;
+    this.shieldingUsed = 0;
+    this.taxPaid = 0;
+  }
+
+  get costBasis() {
+    return this.deposits;
+  }
+
+  /**
+   * Take over an existing account at market value with its deposit base
+   *
+   * @param {number} value - Market value today
+   * @param {number} costBasis - Deposits not yet withdrawn (innskudd)
+   */
+  addHolding(value, costBasis = value) {
+    if (value <= 0) {
+      return;
+    }
+
+    this.value += value;
+    this.deposits += Math.max(0, costBasis);
+  }
+
+  /**
+   * Deposit cash and buy fund units
+   * The whole deposit counts towards the deposit base, costs included.
+   */
+  buy(amount) {
+    if (amount <= 0) {
+      return;
+    }
+
+    const costs = calculatePurchaseCosts(amount, this.purchaseFee, this.transactionCost);
+    this.costsPaid += costs;
+    this.value += amount - costs;
+    this.deposits += amount;
+  }
+
+  applyReturn(periodReturn) {
+    this.value *= 1 + periodReturn;
+  }
+
+  chargeFee(feeRate) {
+    const fee = this.value * feeRate;
+    this.value -= fee;
+    this.costsPaid += fee;
+    return fee;
+  }
+
+  /**
+   * Shielding on the deposit base held at year end
+   * Unused shielding is carried forward and added to the base.
+   *
+   * @param {number} shieldingRate - Shielding rate for the year
+   * @returns {number} - Shielding granted this year
+   */
+  applyShielding(shieldingRate) {
+    const granted = TaxCalculator.calculateShielding(
+      this.deposits + this.unusedShielding,
+      shieldingRate
+    );
+    this.unusedShielding += granted;
+    this.shieldingGranted += granted;
+    return granted;
+  }
+
+  /**
+   * Dividends are reinvested inside the account without tax
+   * Returns are total returns, so reinvesting leaves the value unchanged.
+   */
+  receiveDividend(dividendYield) {
+    return { dividend: Math.max(0, dividendYield) * this.value, tax: 0 };
+  }
+
+  /**
+   * Withdraw a cash amount before tax
+   * The deposit base is withdrawn first and is tax-free; the rest is a
+   * taxable gain after unused shielding.
+   *
+   * @param {number} amount - Account value to sell, before costs and tax
+   * @returns {Object} - { proceeds, cost, taxableGain, shieldingUsed, tax }
+   */
+  sell(amount) {
+    const grossProceeds = Math.min(Math.max(0, amount), this.value);
+    const saleCosts = grossProceeds * this.transactionCost;
+    const proceeds = grossProceeds - saleCosts;
+    const cost = Math.min(proceeds, this.deposits);
+    const gain = proceeds - cost;
+    const shieldingUsed = Math.min(gain, this.unusedShielding);
+    const taxableGain = gain - shieldingUsed;
+
+    this.value -= grossProceeds;
+    this.costsPaid += saleCosts;
+    this.deposits -= cost;
+    this.unusedShielding -= shieldingUsed;
+
+    return this.recordSale({ proceeds, cost, taxableGain, shieldingUsed });
+  }
+
+  /**
+   * Close the account
+   * A value below the deposit base is a deductible loss; unused shielding
+   * cannot increase it.
+   */
+  liquidate() {
+    const saleCosts = this.value * this.transactionCost;
+    const proceeds = this.value - saleCosts;
+    if (proceeds >= this.deposits) {
+      return this.sell(this.value);
+    }
+
+    const sale = {
+      proceeds,
+      cost: this.deposits,
+      taxableGain: proceeds - this.deposits,
+      shieldingUsed: 0
+    };
+    this.costsPaid += saleCosts;
+    this.value = 0;
+    this.deposits = 0;
+    this.unusedShielding = 0;
+    return this.recordSale(sale);
+  }
+
+  recordSale(sale) {
+    const tax = sale.taxableGain * this.taxRate;
+    this.shieldingUsed += sale.shieldingUsed;
+    this.taxPaid += tax;
+    return { ...sale, tax };
+  }
+}
+
+/**
+ * Contributions divided between an ASK and an ordinary account
+ * Every operation is applied to both; sales are taken pro rata by value.
+ * Holdings bought outside an ASK cannot be moved into one without
+ * realizing the gain, so an existing portfolio stays in the ordinary account.
+ */
+export class SplitAccount {
+  /**
+   * @param {number} askShare - Share of each contribution to the ASK (0-1)
+   * @param {Object} options - Passed to both accounts
+   */
+  constructor(askShare, options = {}) {
+    this.askShare = Math.min(1, Math.max(0, askShare));
+    this.ask = new AskAccount(options);
+    this.ordinary = new OrdinaryAccount(options);
+  }
+
+  get value() {
+    return this.ask.value + this.ordinary.value;
+  }
+
+  get costBasis() {
+    return this.ask.costBasis + this.ordinary.costBasis;
+  }
+
+  get shieldingUsed() {
+    return this.ask.shieldingUsed + this.ordinary.shieldingUsed;
+  }
+
+  get taxPaid() {
+    return this.ask.taxPaid + this.ordinary.taxPaid;
+  }
+
+  get costsPaid() {
+    return this.ask.costsPaid + this.ordinary.costsPaid;
+  }
+
+  addHolding(value, costBasis = value) {
+    this.ordinary.addHolding(value, costBasis);
+  }
+
+  buy(amount) {
+    this.ask.buy(amount * this.askShare);
+    this.ordinary.buy(amount * (1 - this.askShare));
+  }
+
+  applyReturn(periodReturn) {
+    this.ask.applyReturn(periodReturn);
+    this.ordinary.applyReturn(periodReturn);
+  }
+
+  chargeFee(feeRate) {
+    return this.ask.chargeFee(feeRate) + this.ordinary.chargeFee(feeRate);
+  }
+
+  applyShielding(shieldingRate) {
+    return this.ask.applyShielding(shieldingRate) + this.ordinary.applyShielding(shieldingRate);
+  }
+
+  receiveDividend(dividendYield) {
+    return combineResults(
+      this.ask.receiveDividend(dividendYield),
+      this.ordinary.receiveDividend(dividendYield)
+    );
+  }
+
+  sell(amount) {
+    const total = this.value;
+    const askPart = total > 0 ? amount * this.ask.value / total : 0;
+    return combineResults(this.ask.sell(askPart), this.ordinary.sell(amount - askPart));
+  }
+
+  liquidate() {
+    return combineResults(this.ask.liquidate(), this.ordinary.liquidate());
+  }
+}
+
+/**
+ * Create the stock account for an account type
+ *
+ * An ASK is an ASK plus an ordinary account that only holds an existing
+ * portfolio; every contribution goes to the ASK.
+ *
+ * @param {string} accountType - 'ordinary' | 'ask' | 'split'
+ * @param {Object} options - { askShare (0-1, split only), taxRate, purchaseFee, transactionCost }
+ * @returns {OrdinaryAccount|AskAccount|SplitAccount}
+ */
+export function createStockAccount(accountType = 'ordinary', options = {}) {
+  const { askShare = 0.5, ...accountOptions } = options;
+
+  switch (accountType) {
+    case 'ask':
+      return new SplitAccount(1, accountOptions);
+    case 'split':
+      return new SplitAccount(askShare, accountOptions);
+    default:
+      return new OrdinaryAccount(accountOptions);
+  }
+}
+
+// Fixed fee plus transaction cost on a purchase, never more than the amount
+function calculatePurchaseCosts(amount, purchaseFee, transactionCost) {
+  return Math.min(amount, purchaseFee + amount * transactionCost);
+}
+
+// Sum numeric fields of two sale or dividend results
+function combineResults(a, b) {
+  const combined = {};
+  for (const key of Object.keys(a)) {
+    combined[key] = a[key] + b[key];
+  }
+  return combined;
+}
@@ -3,13 +3,84 @@
  * Runs 10,000 simulations comparing stock investment vs mortgage paydown
  */
 
-const NORWEGIAN_TAX_RATE = 0.3784; // 37.84% capital gains tax
+import { MortgageModel } from './mortgageModel';
+import { RatePathModel } from './ratePathModel';
+import { HistoricalSampler, ParametricSampler } from './returnSamplers';
+import { ACCOUNT_TYPES, createStockAccount } from './investmentAccounts';
+import { ContributionSchedule } from './contributionSchedule';
+import { AllocationRules } from './allocationRules';
+import { HistogramBinner } from './histogramBinner';
+import { SensitivityAnalysis } from './sensitivityAnalysis';
+import { SamplingError } from './samplingError';
+import { TaxCalculator } from './taxCalculator';
+import { createXoshiro128, deriveSeed } from './random';
+
+// Independent random streams within each path, so changing how one input is
+// sampled never shifts the draws of another
+const RANDOM_STREAMS = {
+  returns: 1,
+  rates: 2,
+  inflation: 3,
+  shocks: 4
+};
+
+const DEFAULT_INFLATION = 0.025; // Norges Bank's inflation target
+const DEFAULT_HEDGE_CARRY = 0.01;  // NOK short rate above the foreign rate
+const DEFAULT_CREDIT_RATE = 0.12;  // Unsecured credit when the home cannot be borrowed against
+const MAX_SALE_ROUNDS = 10;        // Sales to cover a shock and the tax on the sales
+
+// Adaptive runs add batches of paths until the chosen precision is reached
+const ADAPTIVE_DEFAULTS = {
+  batchSize: 2000,
+  minSimulations: 2000,
+  maxSimulations: 50000,
+  targetError: 0.01,   // Half-width of the 95% interval for P(stocks win)
+  maxMillis: 5000
+};
 
 export class MonteCarloEngine {
-  constructor(historicalReturns) {
-    this.returns = historicalReturns.annual_returns.map(r => r.return);
-    this.meanReturn = historicalReturns.statistics.mean_return;
-    this.stdDev = historicalReturns.statistics.std_deviation;
+  /**
+   * @param {Object} historicalReturns - Bundled return dataset
+   * @param {Object} options - { createRandom: (seed) => uniform [0, 1) generator,
+   *   assetReturns: other asset classes on the same yearly axis }
+   */
+  constructor(historicalReturns, options = {}) {
+    const years = historicalReturns.annual_returns;
+    this.years = years.map(r => r.year);
+    this.keyEvents = parseKeyEvents(historicalReturns.key_events);
+    this.assets = {
+      nordic: {
+        localReturns: years.map(r => r.local_return ?? r.return),
+        currencyReturns: years.map(r => r.eurnok ?? 0)
+      },
+      ...(options.assetReturns ? alignAssets(options.assetReturns, years) : {})
+    };
+    this.returns = this.getNokReturns();
+    this.inflation = years.map(r => r.inflation ?? DEFAULT_INFLATION);
+    this.sampler = new HistoricalSampler(this.returns);
+    this.createRandom = options.createRandom ?? createXoshiro128;
+  }
+
+  /**
+   * Seed for a run: the caller's seed, or a fresh one if none is given
+   * The seed is returned with the results so any run can be reproduced.
+   */
+  resolveSeed(params) {
+    return params.seed ?? Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Random generator for one stream of one path
+   * The same seed, path index and stream always give the same draws,
+   * whatever the allocation, so strategies share common random numbers.
+   *
+   * @param {number} seed - Run seed
+   * @param {number} pathIndex - Simulation index
+   * @param {string} stream - Key of RANDOM_STREAMS
+   * @returns {Function} - Uniform [0, 1) generator
+   */
+  createPathRandom(seed, pathIndex, stream) {
+    return this.createRandom(deriveSeed(seed, pathIndex, RANDOM_STREAMS[stream]));
   }
 
   /**
@@ -18,247 +89,1868 @@ export class MonteCarloEngine {
    * @returns {Object} - Results for both scenarios
    */
   runSimulation(params) {
-    const {
-      monthlyInvestment,    // NOK per month
-      timeHorizon,          // Years (5/10/15/20)
-      mortgageRate,         // Annual rate (e.g., 0.045 for 4.5%)
-      stockAllocation,      // 0-100
-      numSimulations = 10000
-    } = params;
+    const { numSimulations = 10000 } = params;
+    const seed = this.resolveSeed(params);
 
     const stockResults = new Array(numSimulations);
     const mortgageResults = new Array(numSimulations);
+    const stockReal = new Array(numSimulations);
+    const mortgageReal = new Array(numSimulations);
 
     // Run simulations
     for (let i = 0; i < numSimulations; i++) {
-      // Generate random return path using bootstrap sampling
-      const returns = this.generateReturnPath(timeHorizon);
+      const path = this.simulatePath(params, seed, i);
+      const deflator = path.deflators[path.deflators.length - 1];
 
-      // Calculate stock scenario (with tax and partial mortgage paydown)
-      stockResults[i] = this.calculateStockScenario(
-        monthlyInvestment,
-        stockAllocation / 100,
-        returns,
-        mortgageRate,
-        timeHorizon
-      );
+      // Stock scenario (with tax and partial mortgage paydown)
+      stockResults[i] = path.stock.finalValue;
+      stockReal[i] = stockResults[i] / deflator;
 
-      // Calculate pure mortgage paydown scenario
-      mortgageResults[i] = this.calculateMortgageScenario(
-        monthlyInvestment,
-        timeHorizon,
-        mortgageRate
-      );
+      // Pure mortgage paydown scenario on the same rate path
+      mortgageResults[i] = path.mortgage.finalValue;
+      mortgageReal[i] = mortgageResults[i] / deflator;
     }
 
     return {
+      seed,
       stock: stockResults,
-      mortgage: mortgageResults
+      mortgage: mortgageResults,
+      real: {
+        stock: stockReal,
+        mortgage: mortgageReal
+      }
     };
   }
 
   /**
-   * Generate annual return path using historical bootstrap
-   * Randomly samples from historical returns with replacement
+   * Simulate both strategies along one random market path
+   * Stock returns and mortgage rates are drawn together so every comparison
+   * between the strategies is made on matching paths
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {number} seed - Run seed
+   * @param {number} pathIndex - Simulation index
+   * @returns {Object} - { indices, returns, rates, inflation, deflators, shocks,
+   *   allocations, stock, mortgage, stockLoan, mortgageLoan, wealthTax }
+   */
+  simulatePath(params, seed, pathIndex) {
+    return this.simulateStrategies(params, this.simulateMarket(params, seed, pathIndex));
+  }
+
+  /**
+   * Simulate both strategies on a given market path
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} market - { indices, returns, rates, inflation, deflators, shocks }
+   * @returns {Object} - The market plus { allocations, stock, mortgage, stockLoan,
+   *   mortgageLoan, wealthTax }
    */
-  generateReturnPath(years) {
-    const path = new Array(years);
-    for (let i = 0; i < years; i++) {
-      // Bootstrap: randomly sample from historical returns
-      const randomIndex = Math.floor(Math.random() * this.returns.length);
-      path[i] = this.returns[randomIndex];
+  simulateStrategies(params, market) {
+    const allocations = this.getAllocationPath(params, market.returns);
+    const { stockLoan, mortgageLoan } = this.simulateLoans(params, market.rates, allocations);
+
+    const stock = this.calculateStockScenarioWithPath(
+      this.getContributions(params),
+      allocations,
+      market.returns,
+      stockLoan,
+      { ...this.getStockOptions(params, market.rates), shocks: market.shocks }
+    );
+    const mortgage = this.calculateMortgageScenarioWithPath(
+      mortgageLoan,
+      this.simulateExistingHoldings(params, market)
+    );
+
+    if (market.shocks.some(amount => amount > 0)) {
+      this.applyShocks(params, market, stock, stockLoan);
+      this.applyShocks(params, market, mortgage, mortgageLoan);
     }
-    return path;
+
+    const wealthTax = this.simulateWealthTax(
+      params,
+      market.rates,
+      stock,
+      mortgage,
+      stockLoan,
+      mortgageLoan
+    );
+    if (wealthTax) {
+      this.deductCosts(stock, wealthTax.stock.cost);
+      this.deductCosts(mortgage, wealthTax.mortgage.cost);
+    }
+
+    return { ...market, allocations, stock, mortgage, stockLoan, mortgageLoan, wealthTax };
   }
 
   /**
-   * Calculate stock investment scenario with Norwegian tax
-   * Includes mortgage paydown for the non-stock allocation portion
+   * Deterministic backtest over every actual window of the historical data
+   *
+   * Each window of timeHorizon consecutive years (1990-1999, 1991-2000, ...)
+   * is run once with that period's returns and inflation, whatever the
+   * return model. The data has no mortgage rate history, so the rate stays at
+   * today's rate. Random job-loss shocks are left out; a dated emergency cost
+   * still applies.
+   *
+   * @param {Object} params - Simulation parameters
+   * @returns {Array<Object>} - One entry per window in date order: { startYear,
+   *   endYear, stock, mortgage, real: { stock, mortgage }, annualizedReturn,
+   *   events (descriptions of the dataset's key events inside the window) }
    */
-  calculateStockScenario(monthlyAmount, allocation, returns, mortgageRate, years) {
-    let stockValue = 0;
-    let totalInvested = 0;
-    const monthlyToStock = monthlyAmount * allocation;
-    const monthlyToMortgage = monthlyAmount * (1 - allocation);
+  runBacktest(params) {
+    const { timeHorizon } = params;
+    const nokReturns = this.getNokReturns(params);
+    const windows = [];
 
-    // Simulate year by year
-    for (let year = 0; year < returns.length; year++) {
-      const annualReturn = returns[year];
+    for (let start = 0; start + timeHorizon <= this.years.length; start++) {
+      const indices = Array.from({ length: timeHorizon }, (_, year) => start + year);
+      const returns = indices.map(index => nokReturns[index]);
+      const market = this.createFixedMarket(
+        params,
+        returns,
+        indices.map(index => this.inflation[index])
+      );
+      const { stock, mortgage, deflators } = this.simulateStrategies(params, { ...market, indices });
+      const deflator = deflators[timeHorizon];
 
-      // Add monthly contributions throughout the year (simplified: add at year start)
-      const annualContribution = monthlyToStock * 12;
-      stockValue += annualContribution;
-      totalInvested += annualContribution;
+      const startYear = this.years[start];
+      const endYear = this.years[start + timeHorizon - 1];
 
-      // Apply annual return
-      stockValue *= (1 + annualReturn);
+      windows.push({
+        startYear,
+        endYear,
+        stock: stock.finalValue,
+        mortgage: mortgage.finalValue,
+        real: {
+          stock: stock.finalValue / deflator,
+          mortgage: mortgage.finalValue / deflator
+        },
+        annualizedReturn: this.calculateAnnualizedReturns(returns, deflators).nominal,
+        events: this.keyEvents
+          .filter(event => event.startYear <= endYear && event.endYear >= startYear)
+          .map(event => event.description)
+      });
     }
 
-    // Calculate capital gains and apply Norwegian tax
-    const capitalGains = Math.max(0, stockValue - totalInvested);
-    const tax = capitalGains * NORWEGIAN_TAX_RATE;
-    const afterTaxStockValue = stockValue - tax;
+    return windows;
+  }
+
+  /**
+   * Named crisis sequences from the dataset's key events
+   * Returns are the chosen portfolio's NOK returns in those years.
+   *
+   * @param {Object} params - { portfolio, currencyMode, hedgeCarry }
+   * @returns {Array<Object>} - { id, name, startYear, endYear, returns, inflation }
+   */
+  getStressScenarios(params = {}) {
+    const nokReturns = this.getNokReturns(params);
+
+    return this.keyEvents
+      .map(({ startYear, endYear, description }) => {
+        const indices = [];
+        this.years.forEach((year, index) => {
+          if (year >= startYear && year <= endYear) {
+            indices.push(index);
+          }
+        });
+        return {
+          id: startYear === endYear ? String(startYear) : `${startYear}-${endYear}`,
+          name: description,
+          startYear,
+          endYear,
+          returns: indices.map(index => nokReturns[index]),
+          inflation: indices.map(index => this.inflation[index])
+        };
+      })
+      .filter(scenario => scenario.returns.length > 0);
+  }
+
+  /**
+   * Run the strategy once through a crisis sequence placed in the horizon
+   *
+   * Years outside the sequence earn the median growth rate, mean - variance / 2,
+   * of the selected portfolio's NOK returns in the chosen currency mode (or
+   * of the user's own assumptions for a parametric model), so the calm years
+   * compound like a middle Monte Carlo path. Their inflation is the fixed rate, or the historical average
+   * in historical mode. As in the backtest, the mortgage rate stays at
+   * today's rate and random job-loss shocks are left out.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} scenario - { returns, inflation (optional) } for each year
+   *   of the sequence
+   * @param {number} startYear - Year of the horizon the sequence starts in
+   *   (1 = first); moved earlier if the sequence would run past the horizon
+   * @returns {Object} - { returns, startYear, stock, mortgage, real: { stock, mortgage } }
+   */
+  runStressTest(params, scenario, startYear = 1) {
+    const { timeHorizon, inflationModel = 'fixed', inflationRate = DEFAULT_INFLATION } = params;
+    const { mean, stdDev } = this.getReturnParameters(params);
+    const typicalInflation = inflationModel === 'historical'
+      ? calculateMoments(this.inflation).mean
+      : inflationRate;
+    const length = Math.min(scenario.returns.length, timeHorizon);
+    const start = Math.max(0, Math.min(Math.round(startYear) - 1, timeHorizon - length));
+
+    const returns = new Array(timeHorizon).fill(mean - (stdDev * stdDev) / 2);
+    const inflation = new Array(timeHorizon).fill(typicalInflation);
+    for (let year = 0; year < length; year++) {
+      returns[start + year] = scenario.returns[year];
+      inflation[start + year] = scenario.inflation?.[year] ?? typicalInflation;
+    }
 
-    // Add mortgage savings from non-stock allocation
-    const mortgageSavings = this.calculateMortgageSavingsValue(
-      monthlyToMortgage,
-      years,
-      mortgageRate
+    const { stock, mortgage, deflators } = this.simulateStrategies(
+      params,
+      this.createFixedMarket(params, returns, inflation)
     );
+    const deflator = deflators[timeHorizon];
 
-    return afterTaxStockValue + mortgageSavings;
+    return {
+      returns,
+      startYear: start + 1,
+      stock: stock.finalValue,
+      mortgage: mortgage.finalValue,
+      real: {
+        stock: stock.finalValue / deflator,
+        mortgage: mortgage.finalValue / deflator
+      }
+    };
   }
 
   /**
-   * Calculate pure mortgage paydown scenario
-   * Models the value of interest saved from extra payments
+   * Market for a deterministic run: given returns and inflation, today's
+   * mortgage rate throughout, and only the dated emergency cost as a shock
+   *
+   * @returns {Object} - { indices, returns, rates, inflation, deflators, shocks }
    */
-  calculateMortgageScenario(monthlyAmount, years, mortgageRate) {
-    return this.calculateMortgageSavingsValue(monthlyAmount, years, mortgageRate);
+  createFixedMarket(params, returns, inflation) {
+    const { mortgageRate } = params;
+    const years = returns.length;
+
+    return {
+      indices: null,
+      returns,
+      rates: new Array(years).fill(mortgageRate),
+      inflation,
+      deflators: this.calculateDeflators(inflation),
+      shocks: this.generateShockPath(years, params, () => 1)
+    };
   }
 
   /**
-   * Calculate the future value of mortgage interest savings
+   * Stock share of each year's contributions along one path
    *
-   * Model: Each extra payment saves interest that would compound
-   * The value grows at the mortgage rate (conservative assumption)
+   * @param {Object} params - { allocationRule: preset name or rule object,
+   *   stockAllocation (0-100) }
+   * @param {Array<number>} returns - The path's annual returns
+   * @returns {Array<number>} - Share for each year (0-1), from AllocationRules
+   */
+  getAllocationPath(params, returns) {
+    const { allocationRule = 'fixed', stockAllocation } = params;
+    return AllocationRules.evaluatePath(allocationRule, returns, stockAllocation / 100);
+  }
+
+  /**
+   * Final values of different allocation strategies on the same paths
    *
-   * Formula: FV = PMT × [(1 + r)^n - 1] / r
-   * where r = monthly rate, n = total months, PMT = monthly payment
+   * @param {Object} params - Simulation parameters
+   * @param {Object} variants - Name → parameter overrides
+   *   (e.g., { allIn: { allocationRule: 'fixed', stockAllocation: 100 } })
+   * @returns {Object} - { seed, [name]: { value, averageAllocation } } per path
    */
-  calculateMortgageSavingsValue(monthlyPayment, years, annualRate) {
-    const monthlyRate = annualRate / 12;
-    const totalMonths = years * 12;
+  compareAllocations(params, variants) {
+    const { numSimulations = 10000 } = params;
+    const seed = this.resolveSeed(params);
+    const names = Object.keys(variants);
 
-    // Future value of annuity formula
-    if (monthlyRate === 0) {
-      // If rate is 0, simple multiplication
-      return monthlyPayment * totalMonths;
+    const results = { seed, deflators: new Array(numSimulations) };
+    for (const name of names) {
+      results[name] = {
+        value: new Array(numSimulations),
+        averageAllocation: new Array(numSimulations)
+      };
     }
 
-    const futureValue = monthlyPayment *
-      ((Math.pow(1 + monthlyRate, totalMonths) - 1) / monthlyRate);
+    for (let i = 0; i < numSimulations; i++) {
+      for (const name of names) {
+        const { stock, allocations } = this.simulatePath({ ...params, ...variants[name] }, seed, i);
+        results[name].value[i] = stock.finalValue;
+        results[name].averageAllocation[i] = allocations.length > 0
+          ? allocations.reduce((sum, share) => sum + share, 0) / allocations.length
+          : 0;
+      }
+    }
 
-    return futureValue;
+    return results;
   }
 
   /**
-   * Run simulation with year-by-year time series data
-   * Returns both final values and intermediate portfolio values at each year
+   * Yearly wealth tax for both strategies along one path
+   *
+   * Each year end the household's position is taxed: home, other net wealth,
+   * the stock account and any savings after payoff, less the mortgage. The
+   * contractual loan without extra payments, keeping any existing portfolio,
+   * is taxed the same way, and each strategy is charged the tax above that
+   * baseline, accumulated at the after-tax mortgage rate, so results stay
+   * the gain over doing nothing.
+   *
+   * @param {Object} params - { wealthTax, homeValue, otherNetWealth, interestDeductionRate }
+   * @param {Array<number>} rates - Annual mortgage rate for each year
+   * @param {Object} stock - Stock scenario with yearlyStockValues
+   * @param {Object} mortgage - Mortgage scenario with yearlyStockValues
+   * @param {Object} stockLoan - Loan result for the stock strategy
+   * @param {Object} mortgageLoan - Loan result for the mortgage strategy
+   * @returns {Object|null} - { stock, mortgage, baseline } each { paid[], total }
+   *   plus cost[] for the strategies, or null when wealth tax is off
    */
-  runSimulationWithTimeSeries(params) {
+  simulateWealthTax(params, rates, stock, mortgage, stockLoan, mortgageLoan) {
     const {
-      monthlyInvestment,
-      timeHorizon,
-      mortgageRate,
-      stockAllocation,
-      numSimulations = 10000
+      wealthTax = false,
+      homeValue = 0,
+      otherNetWealth = 0,
+      interestDeductionRate = TaxCalculator.INTEREST_DEDUCTION_RATE
     } = params;
 
-    const stockResults = new Array(numSimulations);
-    const mortgageResults = new Array(numSimulations);
-    const stockPaths = new Array(numSimulations);
+    if (!wealthTax) {
+      return null;
+    }
 
-    for (let i = 0; i < numSimulations; i++) {
-      const returns = this.generateReturnPath(timeHorizon);
+    const years = rates.length;
+    const taxFor = (shares, balance) => TaxCalculator.calculateWealthTax({
+      shares,
+      deposits: Math.max(0, -balance),
+      homeValue,
+      debt: Math.max(0, balance),
+      otherNetWealth
+    });
 
-      const { finalValue, yearlyValues } = this.calculateStockScenarioWithPath(
-        monthlyInvestment,
-        stockAllocation / 100,
-        returns,
-        mortgageRate,
-        timeHorizon
-      );
+    const paid = { stock: new Array(years), mortgage: new Array(years), baseline: new Array(years) };
+    for (let year = 1; year <= years; year++) {
+      const existingShares = mortgage.yearlyStockValues[year];
+      paid.baseline[year - 1] = taxFor(existingShares, mortgageLoan.baselineBalances[year]);
+      paid.stock[year - 1] = taxFor(stock.yearlyStockValues[year], stockLoan.balances[year]);
+      paid.mortgage[year - 1] = taxFor(existingShares, mortgageLoan.balances[year]);
+    }
 
-      stockResults[i] = finalValue;
-      stockPaths[i] = yearlyValues;
+    const summarize = (yearly, withCost) => {
+      const summary = { paid: yearly, total: yearly.reduce((sum, tax) => sum + tax, 0) };
+      if (withCost) {
+        summary.cost = TaxCalculator.accumulateCosts(
+          yearly.map((tax, i) => tax - paid.baseline[i]),
+          rates,
+          interestDeductionRate
+        );
+      }
+      return summary;
+    };
 
-      mortgageResults[i] = this.calculateMortgageScenario(
-        monthlyInvestment,
-        timeHorizon,
-        mortgageRate
-      );
+    return {
+      stock: summarize(paid.stock, true),
+      mortgage: summarize(paid.mortgage, true),
+      baseline: summarize(paid.baseline, false)
+    };
+  }
+
+  /**
+   * Subtract accumulated costs from a scenario's yearly, liquidation and final values
+   *
+   * @param {Object} scenario - { finalValue, yearlyValues, yearlyLiquidationValues }
+   * @param {Array<number>} costs - Accumulated cost at each year end
+   */
+  deductCosts(scenario, costs) {
+    const years = costs.length - 1;
+    scenario.yearlyValues = scenario.yearlyValues.map((value, year) => value - costs[year]);
+    scenario.yearlyLiquidationValues = scenario.yearlyLiquidationValues.map(
+      (value, year) => value - costs[year]
+    );
+    scenario.finalValue -= costs[years];
+  }
+
+  /**
+   * Pay the path's shocks in one strategy
+   * Stock holdings were already sold for the shocks along the path; what
+   * they could not cover is financed by financeShocks and its cost deducted.
+   * The scenario gets a shocks summary: { paid, sold, saleTax, soldAfterDecline,
+   * fromMortgage, fromCredit }.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} market - The path's { shocks, rates }
+   * @param {Object} scenario - Stock or mortgage scenario with shockSales (or null)
+   * @param {Object} loanResult - The strategy's loan
+   */
+  applyShocks(params, market, scenario, loanResult) {
+    const sales = scenario.shockSales;
+    const financing = this.financeShocks(
+      sales ? sales.shortfalls : market.shocks,
+      loanResult,
+      market.rates,
+      params
+    );
+    this.deductCosts(scenario, financing.debt);
+
+    scenario.shocks = {
+      paid: market.shocks.reduce((sum, amount) => sum + amount, 0),
+      sold: sales ? sales.sold : 0,
+      saleTax: sales ? sales.tax : 0,
+      soldAfterDecline: sales ? sales.soldAfterDecline : 0,
+      fromMortgage: financing.fromMortgage,
+      fromCredit: financing.fromCredit
+    };
+  }
+
+  /**
+   * Finance the part of each shock the stock holdings did not cover
+   *
+   * Savings after payoff can always be used. Principal paid ahead of the
+   * contractual schedule can be borrowed again only if the bank allows it
+   * (reborrow). Both cost the after-tax mortgage rate, like every other
+   * krone in the paydown model. Anything beyond that is unsecured credit at
+   * creditRate, also after the interest deduction. A negative shortfall
+   * (a loss on the sale gave a tax credit) repays credit first.
+   *
+   * @param {Array<number>} shortfalls - Amount to finance at each year end
+   * @param {Object} loanResult - The strategy's loan
+   * @param {Array<number>} rates - Annual mortgage rate for each year
+   * @param {Object} params - { reborrow, creditRate, interestDeductionRate }
+   * @returns {Object} - { debt (outstanding at each year end, index 0 = today),
+   *   fromMortgage, fromCredit }
+   */
+  financeShocks(shortfalls, loanResult, rates, params) {
+    const {
+      reborrow = false,
+      creditRate = DEFAULT_CREDIT_RATE,
+      interestDeductionRate = TaxCalculator.INTEREST_DEDUCTION_RATE
+    } = params;
+    const years = shortfalls.length;
+    const debt = new Array(years + 1);
+    debt[0] = 0;
+
+    let housingDebt = 0;
+    let creditDebt = 0;
+    let fromMortgage = 0;
+    let fromCredit = 0;
+
+    for (let year = 0; year < years; year++) {
+      housingDebt *= 1 + rates[year] * (1 - interestDeductionRate);
+      creditDebt *= 1 + creditRate * (1 - interestDeductionRate);
+
+      const amount = shortfalls[year];
+      if (amount < 0) {
+        const repaid = Math.min(creditDebt, -amount);
+        creditDebt -= repaid;
+        housingDebt += amount + repaid;
+      } else if (amount > 0) {
+        const balance = loanResult.balances[year + 1];
+        const savings = Math.max(0, -balance);
+        const prepaid = reborrow
+          ? Math.max(0, loanResult.baselineBalances[year + 1] - Math.max(0, balance))
+          : 0;
+        const drawn = Math.min(amount, Math.max(0, savings + prepaid - housingDebt));
+
+        housingDebt += drawn;
+        creditDebt += amount - drawn;
+        fromMortgage += drawn;
+        fromCredit += amount - drawn;
+      }
+
+      debt[year + 1] = housingDebt + creditDebt;
     }
 
-    const mortgagePath = this.calculateMortgagePath(
-      monthlyInvestment,
+    return { debt, fromMortgage, fromCredit };
+  }
+
+  /**
+   * Draw the market inputs for one path: returns, mortgage rates, inflation
+   * and liquidity shocks
+   * A returnAdjustment (e.g., -0.02) is added to every year's stock return
+   * after the rate path has been drawn, so it moves the return level without
+   * changing the rates.
+   *
+   * @returns {Object} - { indices, returns, rates, inflation, deflators, shocks }
+   */
+  simulateMarket(params, seed, pathIndex) {
+    const { timeHorizon, returnAdjustment = 0 } = params; // Years (5/10/15/20)
+
+    // Generate random return path (historical bootstrap or parametric)
+    const { indices, returns: sampledReturns } = this.generateMarketPath(
       timeHorizon,
-      mortgageRate
+      params,
+      this.createPathRandom(seed, pathIndex, 'returns')
     );
+    const rates = this.generateRatePath(
+      sampledReturns,
+      params,
+      this.createPathRandom(seed, pathIndex, 'rates')
+    );
+    const returns = returnAdjustment !== 0
+      ? sampledReturns.map(annualReturn => annualReturn + returnAdjustment)
+      : sampledReturns;
+    const inflation = this.generateInflationPath(
+      timeHorizon,
+      indices,
+      params,
+      this.createPathRandom(seed, pathIndex, 'inflation')
+    );
+    const deflators = this.calculateDeflators(inflation);
+    const shocks = this.generateShockPath(
+      timeHorizon,
+      params,
+      this.createPathRandom(seed, pathIndex, 'shocks')
+    );
+
+    return { indices, returns, rates, inflation, deflators, shocks };
+  }
+
+  /**
+   * Stock account options for one path
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Array<number>} rates - The path's mortgage rates (drive shielding rates)
+   * @returns {Object} - { timing, shieldingRates, initialInvestment, existingPortfolio,
+   *   existingCostBasis } plus getAccountOptions settings
+   */
+  getStockOptions(params, rates) {
+    const {
+      contributionTiming = 'monthly', // 'monthly' | 'annual'
+      lumpSum = 0,
+      existingPortfolio = 0,          // Market value today (NOK)
+      existingCostBasis = existingPortfolio
+    } = params;
 
     return {
-      stock: stockResults,
-      mortgage: mortgageResults,
-      timeSeries: { stockPaths, mortgagePath }
+      ...this.getAccountOptions(params),
+      timing: contributionTiming,
+      shieldingRates: this.calculateShieldingRates(rates, params),
+      initialInvestment: lumpSum * this.getLumpSumShare(params),
+      existingPortfolio,
+      existingCostBasis
     };
   }
 
   /**
-   * Stock scenario that also returns yearly portfolio values
-   * yearlyValues tracks the pre-tax stock portfolio at end of each year
+   * Share of the lump sum the stock strategy invests today
+   * Follows the first year's allocation unless lumpSumAllocation is given;
+   * the rest prepays the mortgage.
+   *
+   * @param {Object} params - { stockAllocation, lumpSumAllocation } (0-100),
+   *   allocationRule, timeHorizon
+   * @returns {number} - Share invested in stocks (0-1)
    */
-  calculateStockScenarioWithPath(monthlyAmount, allocation, returns, mortgageRate, years) {
-    let stockValue = 0;
-    let totalInvested = 0;
-    const monthlyToStock = monthlyAmount * allocation;
-    const monthlyToMortgage = monthlyAmount * (1 - allocation);
-    const monthlyRate = mortgageRate / 12;
+  getLumpSumShare(params) {
+    const { stockAllocation, lumpSumAllocation, allocationRule, timeHorizon } = params;
+    if (lumpSumAllocation !== undefined) {
+      return lumpSumAllocation / 100;
+    }
 
-    const yearlyValues = new Array(years + 1);
-    yearlyValues[0] = 0;
+    return AllocationRules.allocationAt(AllocationRules.resolve(allocationRule), {
+      year: 0,
+      years: timeHorizon,
+      baseAllocation: stockAllocation / 100
+    });
+  }
 
-    for (let year = 0; year < returns.length; year++) {
-      const annualContribution = monthlyToStock * 12;
-      stockValue += annualContribution;
-      totalInvested += annualContribution;
-      stockValue *= (1 + returns[year]);
-
-      // Add mortgage savings from non-stock portion at this year
-      const totalMonths = (year + 1) * 12;
-      let mortgageSavingsAtYear;
-      if (monthlyRate === 0) {
-        mortgageSavingsAtYear = monthlyToMortgage * totalMonths;
-      } else {
-        mortgageSavingsAtYear = monthlyToMortgage *
-          ((Math.pow(1 + monthlyRate, totalMonths) - 1) / monthlyRate);
+  /**
+   * Existing portfolio under the mortgage strategy
+   * The holdings are kept and sold at the horizon, as in the stock
+   * strategy, so both results include them. Shocks are paid from them first.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} market - The path's { returns, rates }
+   * @returns {Object|null} - simulateStockAccount result, or null without holdings
+   */
+  simulateExistingHoldings(params, market) {
+    const options = this.getStockOptions(params, market.rates);
+    if (options.existingPortfolio <= 0) {
+      return null;
+    }
+
+    return this.simulateStockAccount(0, market.returns, {
+      ...options,
+      initialInvestment: 0,
+      shocks: market.shocks
+    });
+  }
+
+  /**
+   * Invest the lump sum in stocks or prepay the mortgage with it, on the
+   * same paths
+   * Monthly amounts follow the chosen allocation in both cases; only the
+   * lump sum is placed differently. Values are the stock strategy's
+   * after-tax results.
+   *
+   * @param {Object} params - Simulation parameters
+   * @returns {Object} - { seed, invest, paydown } arrays of final values
+   */
+  compareLumpSum(params) {
+    const { numSimulations = 10000 } = params;
+    const seed = this.resolveSeed(params);
+    const invest = new Array(numSimulations);
+    const paydown = new Array(numSimulations);
+
+    for (let i = 0; i < numSimulations; i++) {
+      invest[i] = this.simulatePath({ ...params, lumpSumAllocation: 100 }, seed, i).stock.finalValue;
+      paydown[i] = this.simulatePath({ ...params, lumpSumAllocation: 0 }, seed, i).stock.finalValue;
+    }
+
+    return { seed, invest, paydown };
+  }
+
+  /**
+   * Cost of the liquidity shocks to each strategy, on the same paths
+   * Every path is simulated with and without its shocks; the loss is the
+   * drop in the strategy's final value.
+   *
+   * @param {Object} params - Simulation parameters
+   * @returns {Object} - { seed, events (shocks per path), stock, mortgage },
+   *   each strategy { loss, saleTax, soldAfterDecline, fromCredit } per path
+   */
+  compareShocks(params) {
+    const { numSimulations = 10000 } = params;
+    const seed = this.resolveSeed(params);
+    const withoutShocks = { ...params, shockProbability: 0, emergencyCost: 0 };
+    const createArrays = () => ({
+      loss: new Array(numSimulations),
+      saleTax: new Array(numSimulations),
+      soldAfterDecline: new Array(numSimulations),
+      fromCredit: new Array(numSimulations)
+    });
+
+    const results = { seed, events: new Array(numSimulations), stock: createArrays(), mortgage: createArrays() };
+    for (let i = 0; i < numSimulations; i++) {
+      const shocked = this.simulatePath(params, seed, i);
+      const calm = this.simulatePath(withoutShocks, seed, i);
+      results.events[i] = shocked.shocks.filter(amount => amount > 0).length;
+
+      for (const strategy of ['stock', 'mortgage']) {
+        const { finalValue, shocks } = shocked[strategy];
+        const arrays = results[strategy];
+        arrays.loss[i] = calm[strategy].finalValue - finalValue;
+        arrays.saleTax[i] = shocks ? shocks.saleTax : 0;
+        arrays.soldAfterDecline[i] = shocks ? shocks.soldAfterDecline : 0;
+        arrays.fromCredit[i] = shocks ? shocks.fromCredit : 0;
       }
+    }
+
+    return results;
+  }
+
+  /**
+   * Yearly paths for checking goals, for several fixed allocations
+   * Each allocation is simulated to the deadline on the same paths. Only
+   * what GoalAnalysis reads is kept, so targets and real/nominal can change
+   * without simulating again.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {number} years - Deadline in years from today
+   * @param {Array<number>} allocations - Stock allocations to compare (0-100)
+   * @returns {Object} - { seed, years, homeValue, runs: [{ allocation,
+   *   timeSeries: { balancePaths, liquidationPaths, deflatorPaths } }] }
+   */
+  simulateGoalPaths(params, years, allocations = [0, 25, 50, 75, 100]) {
+    const seed = this.resolveSeed(params);
+    const { homeValue = 0 } = params;
+
+    const runs = allocations.map((stockAllocation) => {
+      const { balancePaths, liquidationPaths, deflatorPaths } = this.runSimulationWithTimeSeries({
+        ...params,
+        seed,
+        stockAllocation,
+        allocationRule: 'fixed',
+        timeHorizon: years
+      }).timeSeries;
+      return {
+        allocation: stockAllocation,
+        timeSeries: { balancePaths, liquidationPaths, deflatorPaths }
+      };
+    });
+
+    return { seed, years, homeValue, runs };
+  }
+
+  /**
+   * Final values for a grid of fixed stock allocations on the same paths
+   * Each path's market is drawn once and every allocation is run on it, so
+   * differences between allocations are not sampling noise. The mortgage
+   * strategy does not depend on the allocation and is kept once per path.
+   * Summarize the sweep with AllocationOptimizer.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Array<number>} allocations - Stock allocations to run (0-100)
+   * @returns {Object} - { seed, allocations, stock (values per path for each
+   *   allocation), mortgage (values per path), real: { stock, mortgage } }
+   */
+  sweepAllocations(params, allocations = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100]) {
+    const { numSimulations = 10000 } = params;
+    const seed = this.resolveSeed(params);
+
+    const stock = allocations.map(() => new Array(numSimulations));
+    const stockReal = allocations.map(() => new Array(numSimulations));
+    const mortgage = new Array(numSimulations);
+    const mortgageReal = new Array(numSimulations);
+
+    for (let i = 0; i < numSimulations; i++) {
+      const market = this.simulateMarket(params, seed, i);
+      const deflator = market.deflators[market.deflators.length - 1];
 
-      yearlyValues[year + 1] = stockValue + mortgageSavingsAtYear;
+      allocations.forEach((stockAllocation, index) => {
+        const path = this.simulateStrategies(
+          { ...params, stockAllocation, allocationRule: 'fixed' },
+          market
+        );
+        stock[index][i] = path.stock.finalValue;
+        stockReal[index][i] = path.stock.finalValue / deflator;
+        if (index === 0) {
+          mortgage[i] = path.mortgage.finalValue;
+          mortgageReal[i] = path.mortgage.finalValue / deflator;
+        }
+      });
     }
 
-    const capitalGains = Math.max(0, stockValue - totalInvested);
-    const tax = capitalGains * NORWEGIAN_TAX_RATE;
-    const afterTaxStockValue = stockValue - tax;
+    return {
+      seed,
+      allocations,
+      stock,
+      mortgage,
+      real: {
+        stock: stockReal,
+        mortgage: mortgageReal
+      }
+    };
+  }
 
-    const mortgageSavings = this.calculateMortgageSavingsValue(
-      monthlyToMortgage,
-      years,
-      mortgageRate
-    );
+  /**
+   * Both strategies with each input moved down and up, on the same seed
+   * Summarize with SensitivityAnalysis.tornado.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Array<Object>} inputs - { key, step } inputs to vary
+   * @returns {Object} - { seed, base, inputs: [{ key, low, high }] } where
+   *   base, low and high are runSimulation results, low and high with the
+   *   input's value
+   */
+  runSensitivity(params, inputs = SensitivityAnalysis.INPUTS) {
+    const seed = this.resolveSeed(params);
+    const seeded = { ...params, seed };
+
+    const run = (input, steps) => {
+      const { params: varied, value } = SensitivityAnalysis.vary(seeded, input, steps);
+      return { value, ...this.runSimulation(varied) };
+    };
 
     return {
-      finalValue: afterTaxStockValue + mortgageSavings,
-      yearlyValues
+      seed,
+      base: this.runSimulation(seeded),
+      inputs: inputs.map(input => ({
+        key: input.key,
+        low: run(input, -1),
+        high: run(input, 1)
+      }))
     };
   }
 
   /**
-   * Calculate deterministic mortgage value at each year
+   * Two-way sensitivity: an input at several values against the allocation
+   * Every row is an allocation sweep on the same seed. Summarize with
+   * SensitivityAnalysis.gridCells.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} input - { key, step } input for the rows
+   * @param {Array<number>} steps - Steps away from the current value, one per row
+   * @param {Array<number>} allocations - Stock allocations, one per column (0-100)
+   * @returns {Object} - { seed, key, rowValues, allocations, sweeps } with one
+   *   sweepAllocations result per row
    */
-  calculateMortgagePath(monthlyPayment, years, annualRate) {
-    const monthlyRate = annualRate / 12;
-    const path = new Array(years + 1);
-    path[0] = 0;
+  runSensitivityGrid(
+    params,
+    input = SensitivityAnalysis.INPUTS[0],
+    steps = [-2, -1, 0, 1, 2],
+    allocations = [0, 25, 50, 75, 100]
+  ) {
+    const seed = this.resolveSeed(params);
+    const rows = steps.map(count => SensitivityAnalysis.vary({ ...params, seed }, input, count));
 
-    for (let year = 1; year <= years; year++) {
-      const totalMonths = year * 12;
-      if (monthlyRate === 0) {
-        path[year] = monthlyPayment * totalMonths;
-      } else {
-        path[year] = monthlyPayment *
-          ((Math.pow(1 + monthlyRate, totalMonths) - 1) / monthlyRate);
+    return {
+      seed,
+      key: input.key,
+      rowValues: rows.map(({ value }) => value),
+      allocations,
+      sweeps: rows.map(({ params: varied }) => this.sweepAllocations(varied, allocations))
+    };
+  }
+
+  /**
+   * After-tax stock value for every account type on the same paths
+   * Only the stock allocation is simulated; the mortgage side is the same
+   * for all account types.
+   *
+   * @param {Object} params - Simulation parameters
+   * @returns {Object} - { seed, ordinary, ask, split }, each { value, tax, costs } arrays
+   */
+  compareAccountTypes(params) {
+    const variants = {};
+    for (const accountType of ACCOUNT_TYPES) {
+      variants[accountType] = { accountType };
+    }
+    return this.compareStockVariants(params, variants);
+  }
+
+  /**
+   * Run the stock allocation with different settings on the same paths
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} variants - Name → settings overriding getStockOptions
+   *   (e.g., { noCosts: { annualFee: 0, purchaseFee: 0, transactionCost: 0 } })
+   * @returns {Object} - { seed, deflators, [name]: { value, tax, costs } } with
+   *   after-tax value, tax paid and costs paid per path, and each path's
+   *   price level at the horizon for real values
+   */
+  compareStockVariants(params, variants) {
+    const { numSimulations = 10000 } = params;
+    const seed = this.resolveSeed(params);
+    const contributions = this.getContributions(params);
+    const names = Object.keys(variants);
+
+    const results = { seed, deflators: new Array(numSimulations) };
+    for (const name of names) {
+      results[name] = {
+        value: new Array(numSimulations),
+        tax: new Array(numSimulations),
+        costs: new Array(numSimulations)
+      };
+    }
+
+    for (let i = 0; i < numSimulations; i++) {
+      const { returns, rates, deflators } = this.simulateMarket(params, seed, i);
+      const options = this.getStockOptions(params, rates);
+      const monthlyToStock = scaleAmounts(contributions, this.getAllocationPath(params, returns));
+
+      for (const name of names) {
+        const { account, sale } = this.simulateStockAccount(
+          monthlyToStock,
+          returns,
+          { ...options, ...variants[name] }
+        );
+        results[name].value[i] = sale.proceeds - sale.tax;
+        results[name].tax[i] = account.taxPaid;
+        results[name].costs[i] = account.costsPaid;
       }
+      results.deflators[i] = deflators[deflators.length - 1];
     }
-    return path;
+
+    return results;
+  }
+
+  /**
+   * Generate annual return path
+   * Historical years with the selected sampling strategy, or draws from a
+   * parametric distribution
+   */
+  generateReturnPath(years, params = {}, random = Math.random) {
+    return this.generateMarketPath(years, params, random).returns;
+  }
+
+  /**
+   * Draw one path of market outcomes
+   *
+   * @param {number} years - Path length
+   * @param {Object} params - { returnModel: 'historical' | 'normal' | 'lognormal' | 'studentT', ... }
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Object} - { indices, returns }; indices is null for parametric models
+   */
+  generateMarketPath(years, params = {}, random = Math.random) {
+    const { returnModel = 'historical', degreesOfFreedom = 5 } = params;
+
+    if (returnModel === 'historical') {
+      const indices = this.generateIndexPath(years, params, random);
+      const nokReturns = this.getNokReturns(params);
+      return { indices, returns: indices.map(index => nokReturns[index]) };
+    }
+
+    const sampler = new ParametricSampler({
+      ...this.getReturnParameters(params),
+      degreesOfFreedom
+    });
+    return { indices: null, returns: sampler.samplePath(years, returnModel, random) };
   }
+
+  /**
+   * Expected return and volatility for parametric models
+   * 'dataset' uses the mean and standard deviation of the chosen portfolio's
+   * historical NOK returns, the same series the bootstrap samples. 'custom'
+   * uses the user's capital market assumptions
+   *
+   * @param {Object} params - { parameterSource, expectedReturn, returnVolatility,
+   *   portfolio, currencyMode, hedgeCarry }
+   * @returns {Object} - { mean, stdDev }
+   */
+  getReturnParameters(params = {}) {
+    const {
+      returnModel = 'historical',
+      parameterSource = 'dataset',  // 'dataset' | 'custom'
+      expectedReturn,
+      returnVolatility
+    } = params;
+
+    if (returnModel !== 'historical' && parameterSource === 'custom') {
+      return { mean: expectedReturn, stdDev: returnVolatility };
+    }
+
+    return calculateMoments(this.getNokReturns(params));
+  }
+
+  /**
+   * Historical portfolio returns as seen by a Norwegian investor
+   *
+   * Each asset's return comes from the same historical year, so the assets
+   * keep their historical correlation. The portfolio is rebalanced to its
+   * weights every year.
+   *
+   * 'unhedged': foreign assets earn their local return compounded with the
+   * change in the exchange rate, so a weaker krone adds to the return.
+   * 'hedged': the currency exposure is swapped back to NOK. The investor
+   * keeps the local return plus the forward carry, the NOK short rate above
+   * the foreign rate.
+   *
+   * @param {Object} params - { portfolio: { [asset]: weight }, currencyMode:
+   *   'unhedged' | 'hedged', hedgeCarry }
+   * @returns {Array<number>} - Annual NOK returns in date order
+   */
+  getNokReturns(params = {}) {
+    const { currencyMode = 'unhedged', hedgeCarry = DEFAULT_HEDGE_CARRY } = params;
+    const weights = this.getPortfolioWeights(params);
+    const years = this.assets.nordic.localReturns.length;
+    const returns = new Array(years).fill(0);
+
+    for (const [asset, weight] of weights) {
+      const { localReturns, currencyReturns } = this.assets[asset];
+      for (let year = 0; year < years; year++) {
+        let currencyReturn = 0;
+        if (currencyReturns) {
+          currencyReturn = currencyMode === 'hedged' ? hedgeCarry : currencyReturns[year];
+        }
+        returns[year] += weight * ((1 + localReturns[year]) * (1 + currencyReturn) - 1);
+      }
+    }
+    return returns;
+  }
+
+  /**
+   * Portfolio weights scaled to sum to one
+   * Unknown assets are ignored; an empty portfolio holds only the Nordic index.
+   *
+   * @param {Object} params - { portfolio: { [asset]: weight } }
+   * @returns {Array<Array>} - [asset, weight] pairs
+   */
+  getPortfolioWeights(params = {}) {
+    const { portfolio = { nordic: 1 } } = params;
+    const entries = Object.entries(portfolio)
+      .filter(([asset, weight]) => this.assets[asset] && weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    if (total <= 0) {
+      return [['nordic', 1]];
+    }
+    return entries.map(([asset, weight]) => [asset, weight / total]);
+  }
+
+  /**
+   * Draw which historical years make up one path
+   *
+   * @param {number} years - Path length
+   * @param {Object} params - { samplingMethod: 'iid' | 'block' | 'stationary' | 'regime', blockLength }
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Indices into the historical data
+   */
+  generateIndexPath(years, params = {}, random = Math.random) {
+    const { samplingMethod = 'iid', blockLength = 5 } = params;
+    return this.sampler.sampleIndices(years, samplingMethod, { blockLength }, random);
+  }
+
+  /**
+   * Generate annual mortgage rates for one path
+   * Rate shocks can be correlated with that path's equity returns
+   *
+   * @param {Array<number>} returns - Equity return path for the same iteration
+   * @param {Object} params - Simulation parameters
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Annual mortgage rate for each year
+   */
+  generateRatePath(returns, params, random = Math.random) {
+    const {
+      mortgageRate,           // Current annual rate (e.g., 0.045 for 4.5%)
+      rateModel = 'fixed',    // 'fixed' | 'meanReverting'
+      longRunRate,
+      rateReversionSpeed,
+      rateVolatility,
+      rateEquityCorrelation
+    } = params;
+
+    const { mean, stdDev } = this.getReturnParameters(params);
+    const equityShocks = returns.map(r => (stdDev > 0 ? (r - mean) / stdDev : 0));
+
+    return RatePathModel.generatePath(
+      mortgageRate,
+      returns.length,
+      {
+        model: rateModel,
+        longRunRate,
+        reversionSpeed: rateReversionSpeed,
+        volatility: rateVolatility,
+        equityCorrelation: rateEquityCorrelation
+      },
+      equityShocks,
+      random
+    );
+  }
+
+  /**
+   * Liquidity shocks for one path, paid at the end of the year they occur
+   *
+   * Each year a shock (job loss, say) happens with shockProbability and
+   * costs shockAmount. An emergency cost can also be set for a given year
+   * (1 = first year). Shocks do not depend on the market or the strategy,
+   * so both strategies face the same events.
+   *
+   * @param {number} years - Path length
+   * @param {Object} params - { shockProbability (per year, 0-1), shockAmount,
+   *   emergencyCost, emergencyYear }
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Amount needed at the end of each year (NOK)
+   */
+  generateShockPath(years, params, random = Math.random) {
+    const {
+      shockProbability = 0,
+      shockAmount = 0,
+      emergencyCost = 0,
+      emergencyYear = 1
+    } = params;
+    const shocks = new Array(years).fill(0);
+
+    if (shockProbability > 0 && shockAmount > 0) {
+      for (let year = 0; year < years; year++) {
+        if (random() < shockProbability) {
+          shocks[year] += shockAmount;
+        }
+      }
+    }
+    if (emergencyCost > 0 && emergencyYear >= 1 && emergencyYear <= years) {
+      shocks[Math.round(emergencyYear) - 1] += emergencyCost;
+    }
+
+    return shocks;
+  }
+
+  /**
+   * Generate annual inflation for one path
+   *
+   * 'historical': Norwegian CPI from the same historical year as the sampled
+   * return, keeping the link between inflation and equity returns. Parametric
+   * return models have no year, so CPI years are drawn independently.
+   * 'fixed': the same rate every year.
+   *
+   * @param {number} years - Path length
+   * @param {Array<number>|null} indices - Historical years used for returns
+   * @param {Object} params - { inflationModel: 'historical' | 'fixed', inflationRate }
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Inflation rate for each year
+   */
+  generateInflationPath(years, indices, params, random = Math.random) {
+    const { inflationModel = 'fixed', inflationRate = DEFAULT_INFLATION } = params;
+
+    if (inflationModel !== 'historical') {
+      return new Array(years).fill(inflationRate);
+    }
+
+    if (indices) {
+      return indices.map(index => this.inflation[index]);
+    }
+
+    const path = new Array(years);
+    for (let i = 0; i < years; i++) {
+      path[i] = this.inflation[Math.floor(random() * this.inflation.length)];
+    }
+    return path;
+  }
+
+  /**
+   * Cumulative price level at each year (1 = today)
+   * Dividing a nominal value by the deflator gives today's kroner
+   */
+  calculateDeflators(inflation) {
+    const deflators = new Array(inflation.length + 1);
+    deflators[0] = 1;
+    for (let year = 0; year < inflation.length; year++) {
+      deflators[year + 1] = deflators[year] * (1 + inflation[year]);
+    }
+    return deflators;
+  }
+
+  /**
+   * Annualized nominal and real return of one return path
+   *
+   * @param {Array<number>} returns - Annual returns
+   * @param {Array<number>} deflators - Price level path from calculateDeflators
+   * @returns {Object} - { nominal, real } compound annual growth rates
+   */
+  calculateAnnualizedReturns(returns, deflators) {
+    const years = returns.length;
+    const growth = returns.reduce((product, r) => product * (1 + r), 1);
+    const realGrowth = growth / deflators[years];
+
+    return {
+      nominal: Math.pow(growth, 1 / years) - 1,
+      real: Math.pow(realGrowth, 1 / years) - 1
+    };
+  }
+
+  /**
+   * Growth of one krone invested at the start along a return path
+   * Unlike the strategy values it is not lifted by new contributions, so its
+   * falls are the market's own.
+   *
+   * @param {Array<number>} returns - Annual returns
+   * @returns {Array<number>} - Index at each year end, starting at 1 (years + 1 values)
+   */
+  calculateReturnIndex(returns) {
+    const index = new Array(returns.length + 1);
+    index[0] = 1;
+    for (let year = 0; year < returns.length; year++) {
+      index[year + 1] = index[year] * (1 + returns[year]);
+    }
+    return index;
+  }
+
+  /**
+   * Shielding rate (skjermingsrente) for each simulated year
+   *
+   * The shielding rate follows short-term government rates after tax, so it
+   * moves with the simulated mortgage rate: today's rate plus the change in
+   * the mortgage rate since today, after 22% tax, floored at zero. With a
+   * fixed mortgage rate it stays at today's shielding rate.
+   *
+   * @param {Array<number>} rates - Annual mortgage rate for each year
+   * @param {Object} params - { mortgageRate, shieldingRate }
+   * @returns {Array<number>} - Shielding rate for each year
+   */
+  calculateShieldingRates(rates, params) {
+    const { mortgageRate, shieldingRate = TaxCalculator.SHIELDING_RATE } = params;
+    const afterTax = 1 - TaxCalculator.FLAT_RATE;
+
+    return rates.map(rate => Math.max(0, shieldingRate + (rate - mortgageRate) * afterTax));
+  }
+
+  /**
+   * Amortize the mortgage for both strategies
+   * The stock strategy sends only the non-stock share of each month's
+   * contribution and of the lump sum as extra payments
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Array<number>} rates - Annual mortgage rate for each year
+   * @param {Array<number>|null} allocations - Stock share per year from
+   *   getAllocationPath; the fixed stockAllocation when omitted
+   * @returns {Object} - { stockLoan, mortgageLoan } from MortgageModel.simulate,
+   *   each with the lost interest deduction per year
+   */
+  simulateLoans(params, rates, allocations = null) {
+    const {
+      stockAllocation,
+      loanBalance = 0,      // Outstanding principal (NOK)
+      loanTermYears = 25,   // Remaining term
+      loanType = 'annuity', // 'annuity' | 'serial'
+      lumpSum = 0,          // Prepaid today, all of it by the mortgage strategy
+      interestDeductionRate = TaxCalculator.INTEREST_DEDUCTION_RATE
+    } = params;
+
+    const loan = { balance: loanBalance, termYears: loanTermYears, loanType };
+    const contributions = this.getContributions(params);
+    const mortgageShares = allocations
+      ? allocations.map(share => 1 - share)
+      : 1 - stockAllocation / 100;
+    const monthlyToMortgage = scaleAmounts(contributions, mortgageShares);
+    const lumpSumToMortgage = lumpSum * (1 - this.getLumpSumShare(params));
+
+    const withLostDeduction = (loanResult) => ({
+      ...loanResult,
+      lostDeduction: TaxCalculator.calculateLostDeduction(
+        loanResult.taxableInterestSaved,
+        rates,
+        interestDeductionRate
+      )
+    });
+
+    return {
+      stockLoan: withLostDeduction(
+        MortgageModel.simulate(loan, rates, monthlyToMortgage, lumpSumToMortgage)
+      ),
+      mortgageLoan: withLostDeduction(
+        MortgageModel.simulate(loan, rates, contributions, lumpSum)
+      )
+    };
+  }
+
+  /**
+   * Calculate stock investment scenario with Norwegian tax
+   * Includes mortgage paydown for the non-stock allocation portion
+   */
+  calculateStockScenario(monthlyAmount, allocation, returns, loanResult, options = {}) {
+    return this.calculateStockScenarioWithPath(
+      monthlyAmount,
+      allocation,
+      returns,
+      loanResult,
+      options
+    ).finalValue;
+  }
+
+  /**
+   * Amount available in each month of the horizon
+   *
+   * @param {Object} params - { monthlyInvestment, timeHorizon, contributionGrowth,
+   *   contributionEvents }
+   * @returns {Array<number>} - Contribution for each month, from ContributionSchedule
+   */
+  getContributions(params) {
+    const {
+      monthlyInvestment,        // NOK per month today
+      timeHorizon,
+      contributionGrowth = 0,   // Yearly growth, e.g. 0.03 with wages
+      contributionEvents = []   // Pauses, amount changes and one-off deposits
+    } = params;
+
+    return ContributionSchedule.build(monthlyInvestment, timeHorizon, {
+      growthRate: contributionGrowth,
+      events: contributionEvents
+    });
+  }
+
+  /**
+   * Account and cost settings for the stock allocation
+   *
+   * @param {Object} params - { accountType, askShare (0-100), dividendYield,
+   *   annualFee, purchaseFee, transactionCost, capitalGainsRate }
+   * @returns {Object} - Same settings with askShare as a fraction and the
+   *   gains rate as taxRate
+   */
+  getAccountOptions(params) {
+    const {
+      accountType = 'ordinary',
+      askShare = 50,
+      dividendYield = 0,
+      annualFee = 0,        // Ongoing fund fee (TER), e.g. 0.002
+      purchaseFee = 0,      // NOK per purchase
+      transactionCost = 0,  // Spread and commission per trade, e.g. 0.001
+      capitalGainsRate = TaxCalculator.CAPITAL_GAINS_RATE
+    } = params;
+
+    return {
+      accountType,
+      askShare: askShare / 100,
+      dividendYield,
+      annualFee,
+      purchaseFee,
+      transactionCost,
+      taxRate: capitalGainsRate
+    };
+  }
+
+  /**
+   * Invest one year of contributions and apply the year's return
+   *
+   * 'monthly': contributions arrive at the end of each month and only earn the
+   * remaining months' share of the annual return. This matches the monthly
+   * extra payments on the mortgage side, so both sides share the same
+   * cash-flow timing.
+   * 'annual': all twelve contributions go in at the start of the year and earn
+   * the full annual return (legacy simplification, overstates stock outcomes).
+   *
+   * Each contribution opens its own lot in the account. The fund fee is
+   * charged on the value each month (once a year in 'annual' mode).
+   *
+   * @param {Object} account - Stock account from createStockAccount
+   * @param {Array<number>} contributions - Amount invested in each month of the year
+   * @param {number} annualReturn - Return for the year (e.g., 0.12 for 12%)
+   * @param {string} timing - 'monthly' | 'annual'
+   * @param {number} annualFee - Ongoing fund fee (e.g., 0.002 for 0.2%)
+   */
+  investStockYear(account, contributions, annualReturn, timing = 'monthly', annualFee = 0) {
+    if (timing === 'annual') {
+      account.buy(contributions.reduce((sum, amount) => sum + amount, 0));
+      account.applyReturn(annualReturn);
+      account.chargeFee(annualFee);
+      return;
+    }
+
+    // Geometric monthly rate so twelve months compound to the annual return
+    const monthlyReturn = Math.pow(1 + annualReturn, 1 / 12) - 1;
+    for (let month = 0; month < 12; month++) {
+      account.applyReturn(monthlyReturn);
+      account.chargeFee(annualFee / 12);
+      account.buy(contributions[month]);
+    }
+  }
+
+  /**
+   * Calculate pure mortgage paydown scenario
+   * Net worth gained from extra payments at the end of the horizon
+   */
+  calculateMortgageScenario(loanResult) {
+    return this.calculatePaydownValue(loanResult, loanResult.balances.length - 1);
+  }
+
+  /**
+   * Mortgage scenario with the paydown value at each year end
+   * Existing holdings add their pre-tax value each year and their after-tax
+   * sale value at the horizon, as in the stock scenario.
+   *
+   * @param {Object} loanResult - Output of MortgageModel.simulate
+   * @param {Object|null} holdings - simulateExistingHoldings result
+   * @returns {Object} - { finalValue, yearlyValues, yearlyStockValues,
+   *   yearlyLiquidationValues, capitalGainsTax, shieldingUsed, costsPaid, shockSales }
+   */
+  calculateMortgageScenarioWithPath(loanResult, holdings = null) {
+    const years = loanResult.balances.length - 1;
+    const noHoldings = new Array(years + 1).fill(0);
+    const yearlyStockValues = holdings ? holdings.yearlyStockValues : noHoldings;
+    const yearlyValues = loanResult.balances.map((_, year) =>
+      this.calculatePaydownValue(loanResult, year) + yearlyStockValues[year]
+    );
+    const afterTaxStockValue = holdings ? holdings.sale.proceeds - holdings.sale.tax : 0;
+
+    return {
+      finalValue: this.calculatePaydownValue(loanResult, years) + afterTaxStockValue,
+      yearlyValues,
+      yearlyStockValues,
+      yearlyLiquidationValues: holdings ? holdings.yearlyLiquidationValues : noHoldings,
+      capitalGainsTax: holdings ? holdings.account.taxPaid : 0,
+      shieldingUsed: holdings ? holdings.account.shieldingUsed : 0,
+      costsPaid: holdings ? holdings.account.costsPaid : 0,
+      shockSales: holdings ? holdings.shockSales : null
+    };
+  }
+
+  /**
+   * Net worth gained from extra payments by a given year
+   *
+   * Model: Extra payments lower the balance compared to the contractual
+   * schedule, and every krone of principal repaid early stops costing
+   * interest. The gain is the contractual balance minus the actual balance;
+   * after payoff the freed payments are savings earning the mortgage rate.
+   * Interest saved also means a smaller interest deduction, so the lost
+   * deduction (with the interest it would have saved) is subtracted.
+   *
+   * @param {Object} loanResult - Output of MortgageModel.simulate
+   * @param {number} year - Year index (0 = today)
+   * @returns {number} - Paydown value in NOK
+   */
+  calculatePaydownValue(loanResult, year) {
+    const lostDeduction = loanResult.lostDeduction?.[year] ?? 0;
+    return loanResult.baselineBalances[year] - loanResult.balances[year] - lostDeduction;
+  }
+
+  /**
+   * Loan outcome at the horizon for the results view
+   *
+   * @param {Object} loanResult - Output of MortgageModel.simulate
+   * @param {number} homeValue - Market value of the home
+   * @returns {Object} - { interestSaved, payoffMonth, remainingBalance, homeEquity }
+   */
+  summarizeLoan(loanResult, homeValue) {
+    const finalBalance = loanResult.balances[loanResult.balances.length - 1];
+
+    return {
+      interestSaved: loanResult.interestSaved[loanResult.interestSaved.length - 1],
+      payoffMonth: loanResult.payoffMonth,
+      remainingBalance: Math.max(0, finalBalance),
+      homeEquity: MortgageModel.calculateHomeEquity(homeValue, finalBalance)
+    };
+  }
+
+  /**
+   * Run simulation with year-by-year time series data
+   * Returns both final values and intermediate portfolio values at each year.
+   * firstPath offsets the path indices, so a batch continues where an earlier
+   * run with the same seed stopped.
+   */
+  runSimulationWithTimeSeries(params) {
+    const {
+      homeValue = 0,
+      numSimulations = 10000,
+      firstPath = 0
+    } = params;
+    const seed = this.resolveSeed(params);
+
+    const stockResults = new Array(numSimulations);
+    const mortgageResults = new Array(numSimulations);
+    const stockReal = new Array(numSimulations);
+    const mortgageReal = new Array(numSimulations);
+    const annualizedReturns = {
+      nominal: new Array(numSimulations),
+      real: new Array(numSimulations)
+    };
+    const stockPaths = new Array(numSimulations);
+    const mortgagePaths = new Array(numSimulations);
+    const returnIndexPaths = new Array(numSimulations);
+    const ratePaths = new Array(numSimulations);
+    const deflatorPaths = new Array(numSimulations);
+    const liquidationPaths = {
+      stock: new Array(numSimulations),
+      mortgage: new Array(numSimulations)
+    };
+    const balancePaths = {
+      baseline: new Array(numSimulations),
+      stock: new Array(numSimulations),
+      mortgage: new Array(numSimulations)
+    };
+    const interestSavedPaths = {
+      stock: new Array(numSimulations),
+      mortgage: new Array(numSimulations)
+    };
+    const loan = {
+      stock: this.createLoanSummaryArrays(numSimulations),
+      mortgage: this.createLoanSummaryArrays(numSimulations)
+    };
+    const tax = {
+      stock: this.createTaxSummaryArrays(numSimulations),
+      mortgage: this.createTaxSummaryArrays(numSimulations)
+    };
+    const costs = new Array(numSimulations);
+
+    for (let i = 0; i < numSimulations; i++) {
+      const {
+        returns,
+        rates,
+        deflators,
+        stock,
+        mortgage,
+        stockLoan,
+        mortgageLoan,
+        wealthTax
+      } = this.simulatePath(params, seed, firstPath + i);
+      const deflator = deflators[deflators.length - 1];
+
+      stockResults[i] = stock.finalValue;
+      stockReal[i] = stockResults[i] / deflator;
+      stockPaths[i] = stock.yearlyValues;
+      costs[i] = stock.costsPaid;
+
+      const { nominal, real } = this.calculateAnnualizedReturns(returns, deflators);
+      annualizedReturns.nominal[i] = nominal;
+      annualizedReturns.real[i] = real;
+      returnIndexPaths[i] = this.calculateReturnIndex(returns);
+
+      mortgageResults[i] = mortgage.finalValue;
+      mortgageReal[i] = mortgageResults[i] / deflator;
+      mortgagePaths[i] = mortgage.yearlyValues;
+
+      ratePaths[i] = rates;
+      deflatorPaths[i] = deflators;
+      liquidationPaths.stock[i] = stock.yearlyLiquidationValues;
+      liquidationPaths.mortgage[i] = mortgage.yearlyLiquidationValues;
+      balancePaths.baseline[i] = mortgageLoan.baselineBalances;
+      balancePaths.stock[i] = stockLoan.balances;
+      balancePaths.mortgage[i] = mortgageLoan.balances;
+      interestSavedPaths.stock[i] = stockLoan.interestSaved;
+      interestSavedPaths.mortgage[i] = mortgageLoan.interestSaved;
+
+      this.recordSummary(loan.stock, i, this.summarizeLoan(stockLoan, homeValue));
+      this.recordSummary(loan.mortgage, i, this.summarizeLoan(mortgageLoan, homeValue));
+      this.recordSummary(tax.stock, i, {
+        capitalGains: stock.capitalGainsTax,
+        shieldingUsed: stock.shieldingUsed,
+        lostDeduction: stockLoan.lostDeduction[stockLoan.lostDeduction.length - 1],
+        wealthTax: wealthTax ? wealthTax.stock.total : 0
+      });
+      this.recordSummary(tax.mortgage, i, {
+        capitalGains: mortgage.capitalGainsTax,
+        shieldingUsed: mortgage.shieldingUsed,
+        lostDeduction: mortgageLoan.lostDeduction[mortgageLoan.lostDeduction.length - 1],
+        wealthTax: wealthTax ? wealthTax.mortgage.total : 0
+      });
+    }
+
+    return {
+      seed,
+      stock: stockResults,
+      mortgage: mortgageResults,
+      real: {
+        stock: stockReal,
+        mortgage: mortgageReal
+      },
+      annualizedReturns,
+      loan,
+      tax,
+      costs,
+      timeSeries: {
+        stockPaths,
+        mortgagePaths,
+        returnIndexPaths,
+        ratePaths,
+        deflatorPaths,
+        liquidationPaths,
+        balancePaths,
+        interestSavedPaths
+      }
+    };
+  }
+
+  /**
+   * Add one batch of paths to an adaptive run
+   *
+   * Each batch continues the same seed's path sequence, so after any number
+   * of batches the result equals a fixed run with the same number of paths.
+   * The run is done once the 95% interval for the probability that stocks
+   * win is within targetError of the estimate, the path cap is reached or
+   * the time limit has passed since the first batch. Running one batch per
+   * call lets the caller yield between batches instead of blocking until
+   * the run is done.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object|null} previous - Result of the previous batch, or null to start
+   * @param {Object} options - { batchSize, minSimulations, maxSimulations,
+   *   targetError, maxMillis }, see ADAPTIVE_DEFAULTS
+   * @returns {Object} - runSimulationWithTimeSeries result plus adaptive:
+   *   { numSimulations, batches, halfWidth, started, elapsed, stopReason
+   *   ('precision', 'maxSimulations', 'timeLimit', or null while more
+   *   batches are needed) }
+   */
+  runAdaptiveBatch(params, previous = null, options = {}) {
+    const {
+      batchSize,
+      minSimulations,
+      maxSimulations,
+      targetError,
+      maxMillis
+    } = { ...ADAPTIVE_DEFAULTS, ...options };
+    const seed = previous ? previous.seed : this.resolveSeed(params);
+    const started = previous ? previous.adaptive.started : Date.now();
+    const firstPath = previous ? previous.adaptive.numSimulations : 0;
+
+    // At least one path per batch, so every call moves the run forward
+    const size = Math.max(1, Math.min(Math.floor(batchSize), maxSimulations - firstPath));
+    const batch = this.runSimulationWithTimeSeries({
+      ...params,
+      seed,
+      numSimulations: size,
+      firstPath
+    });
+    const { adaptive, ...result } = previous ?? {};
+    const merged = previous ? mergeRuns(result, batch) : batch;
+    const count = firstPath + size;
+
+    const wins = HistogramBinner.calculateOutperformanceProbability(merged.stock, merged.mortgage);
+    const halfWidth = SamplingError.Z_95 * SamplingError.proportion(wins, count).standardError;
+    const elapsed = Date.now() - started;
+
+    let stopReason = null;
+    if (count >= minSimulations && halfWidth <= targetError) {
+      stopReason = 'precision';
+    } else if (count >= maxSimulations) {
+      stopReason = 'maxSimulations';
+    } else if (elapsed >= maxMillis) {
+      stopReason = 'timeLimit';
+    }
+
+    return {
+      ...merged,
+      adaptive: {
+        numSimulations: count,
+        batches: (adaptive?.batches ?? 0) + 1,
+        halfWidth,
+        started,
+        elapsed,
+        stopReason
+      }
+    };
+  }
+
+  /**
+   * Per-path storage for loan outcomes
+   */
+  createLoanSummaryArrays(numSimulations) {
+    return {
+      interestSaved: new Array(numSimulations),
+      payoffMonth: new Array(numSimulations),
+      remainingBalance: new Array(numSimulations),
+      homeEquity: new Array(numSimulations)
+    };
+  }
+
+  /**
+   * Per-path storage for tax outcomes
+   */
+  createTaxSummaryArrays(numSimulations) {
+    return {
+      capitalGains: new Array(numSimulations),
+      shieldingUsed: new Array(numSimulations),
+      lostDeduction: new Array(numSimulations),
+      wealthTax: new Array(numSimulations)
+    };
+  }
+
+  recordSummary(arrays, index, summary) {
+    for (const key of Object.keys(arrays)) {
+      arrays[key][index] = summary[key];
+    }
+  }
+
+  /**
+   * Stock scenario that also returns yearly portfolio values
+   * yearlyValues tracks the pre-tax stock portfolio plus paydown value at end of each year
+   *
+   * @param {number|Array<number>} monthlyAmount - Contribution per month, fixed or
+   *   one amount for each month of the horizon
+   * @param {number|Array<number>} allocation - Share of each contribution to
+   *   stocks (0-1), fixed or one share per year
+   * @param {Object} options - { timing, shieldingRates, shocks } plus getAccountOptions settings
+   * @returns {Object} - { finalValue, afterTaxStockValue, yearlyValues, yearlyStockValues,
+   *   yearlyLiquidationValues, capitalGainsTax, shieldingUsed, costsPaid, shockSales }
+   */
+  calculateStockScenarioWithPath(monthlyAmount, allocation, returns, loanResult, options = {}) {
+    const years = returns.length;
+    const {
+      account,
+      yearlyStockValues,
+      yearlyLiquidationValues,
+      shockSales,
+      sale
+    } = this.simulateStockAccount(
+      scaleAmounts(monthlyAmount, allocation),
+      returns,
+      options
+    );
+
+    // Add paydown value from non-stock portion at each year
+    const yearlyValues = yearlyStockValues.map((value, year) =>
+      value + this.calculatePaydownValue(loanResult, year)
+    );
+    const afterTaxStockValue = sale.proceeds - sale.tax;
+
+    return {
+      finalValue: afterTaxStockValue + this.calculatePaydownValue(loanResult, years),
+      afterTaxStockValue,
+      yearlyValues,
+      yearlyStockValues,
+      yearlyLiquidationValues,
+      capitalGainsTax: account.taxPaid,
+      shieldingUsed: account.shieldingUsed,
+      costsPaid: account.costsPaid,
+      shockSales
+    };
+  }
+
+  /**
+   * Invest in the stock account along a return path and sell at the horizon
+   *
+   * The account opens with any existing portfolio at its cost basis, then
+   * buys the lump sum share today. Each year end the account receives
+   * shielding, then pays its dividend (taxed in an ordinary account,
+   * tax-free inside an ASK). Any shock is then paid by selling at that
+   * year end's value, with tax on the sale; what the account cannot cover is
+   * left as a shortfall. The account is sold after the final year end, so
+   * the final year's shielding counts.
+   *
+   * @param {number|Array<number>} monthlyToStock - Amount invested each month,
+   *   fixed or one amount for each month of the horizon
+   * @param {Array<number>} returns - Annual total returns (dividends included)
+   * @param {Object} options - { timing, shieldingRates, initialInvestment,
+   *   existingPortfolio, existingCostBasis, shocks } plus getAccountOptions settings
+   * @returns {Object} - { account, yearlyStockValues, yearlyLiquidationValues,
+   *   shockSales, sale }; liquidation values estimate what selling at each
+   *   year end would raise, and shockSales is { shortfalls (per year), sold,
+   *   tax, soldAfterDecline (sold after a year with a negative return) }
+   */
+  simulateStockAccount(monthlyToStock, returns, options = {}) {
+    const {
+      timing = 'monthly',
+      shieldingRates = [],
+      accountType = 'ordinary',
+      askShare = 0.5,
+      dividendYield = 0,
+      annualFee = 0,
+      purchaseFee = 0,
+      transactionCost = 0,
+      taxRate = TaxCalculator.CAPITAL_GAINS_RATE,
+      initialInvestment = 0,
+      existingPortfolio = 0,
+      existingCostBasis = existingPortfolio,
+      shocks = []
+    } = options;
+    const account = createStockAccount(accountType, { askShare, taxRate, purchaseFee, transactionCost });
+    const years = returns.length;
+    const contributions = toMonthlyAmounts(monthlyToStock, years * 12);
+
+    account.addHolding(existingPortfolio, existingCostBasis);
+    account.buy(initialInvestment);
+
+    const yearlyStockValues = new Array(years + 1);
+    const yearlyLiquidationValues = new Array(years + 1);
+    yearlyStockValues[0] = account.value;
+    yearlyLiquidationValues[0] = estimateLiquidationValue(account, taxRate);
+    const shockSales = { shortfalls: new Array(years).fill(0), sold: 0, tax: 0, soldAfterDecline: 0 };
+
+    for (let year = 0; year < years; year++) {
+      this.investStockYear(
+        account,
+        contributions.slice(year * 12, year * 12 + 12),
+        returns[year],
+        timing,
+        annualFee
+      );
+      account.applyShielding(shieldingRates[year] ?? TaxCalculator.SHIELDING_RATE);
+      account.receiveDividend(dividendYield);
+      if (shocks[year] > 0) {
+        const { raised, sold, tax } = sellForCash(account, shocks[year]);
+        shockSales.shortfalls[year] = shocks[year] - raised;
+        shockSales.sold += sold;
+        shockSales.tax += tax;
+        if (returns[year] < 0) {
+          shockSales.soldAfterDecline += sold;
+        }
+      }
+      yearlyStockValues[year + 1] = account.value;
+      yearlyLiquidationValues[year + 1] = estimateLiquidationValue(account, taxRate);
+    }
+
+    return {
+      account,
+      yearlyStockValues,
+      yearlyLiquidationValues,
+      shockSales,
+      sale: account.liquidate()
+    };
+  }
+}
+
+/**
+ * Other asset classes lined up with the Nordic years
+ * Foreign assets carry the exchange rate change named by their fx_field,
+ * taken from the Nordic dataset's row for the same year.
+ *
+ * @param {Object} assetReturns - { assets: { [asset]: { fx_field } }, annual_returns }
+ * @param {Array<Object>} years - Nordic dataset rows in date order
+ * @returns {Object} - { [asset]: { localReturns, currencyReturns } }
+ */
+function alignAssets(assetReturns, years) {
+  const rows = new Map(assetReturns.annual_returns.map(row => [row.year, row]));
+  const assets = {};
+
+  for (const [asset, { fx_field: fxField }] of Object.entries(assetReturns.assets)) {
+    assets[asset] = {
+      localReturns: years.map(({ year }) => {
+        const row = rows.get(year);
+        if (!row || row[asset] === undefined) {
+          throw new Error(`Missing ${asset} return for ${year}`);
+        }
+        return row[asset];
+      }),
+      currencyReturns: fxField ? years.map(row => row[fxField] ?? 0) : null
+    };
+  }
+  return assets;
+}
+
+/**
+ * Key events from the dataset ({ "2001-2002": "Dot-com crash", ... }) as
+ * year ranges in date order
+ *
+ * @returns {Array<Object>} - { startYear, endYear, description }
+ */
+function parseKeyEvents(keyEvents = {}) {
+  return Object.entries(keyEvents)
+    .map(([period, description]) => {
+      const [startYear, endYear = startYear] = period.split('-').map(Number);
+      return { startYear, endYear, description };
+    })
+    .sort((a, b) => a.startYear - b.startYear);
+}
+
+/**
+ * Sell from the account until the proceeds after tax cover an amount
+ * Tax on each sale is paid from a further sale, so a few rounds are needed.
+ * A loss gives a tax credit, which can raise slightly more than asked.
+ *
+ * @returns {Object} - { raised (after tax), sold (before costs), tax }
+ */
+function sellForCash(account, amount) {
+  const result = { raised: 0, sold: 0, tax: 0 };
+  let grossPerNet = 1;
+
+  for (let round = 0; round < MAX_SALE_ROUNDS; round++) {
+    const needed = amount - result.raised;
+    if (needed < 0.01 || account.value <= 0) {
+      break;
+    }
+    // Scale up by the last sale's costs and tax so the next one about covers the rest
+    const gross = Math.min(account.value, needed * grossPerNet);
+    const sale = account.sell(gross);
+    const net = sale.proceeds - sale.tax;
+    result.raised += net;
+    result.sold += gross;
+    result.tax += sale.tax;
+    if (net > 0) {
+      grossPerNet = Math.max(1, gross / net);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * What selling the whole account would raise after gains tax
+ * Shielding and sale costs are left out, so the estimate errs on the low side.
+ */
+function estimateLiquidationValue(account, taxRate) {
+  const gain = Math.max(0, account.value - account.costBasis);
+  return account.value - gain * taxRate;
+}
+
+/**
+ * Monthly contributions as one amount per month
+ * A single number is repeated; a schedule shorter than the horizon is
+ * padded with zeros.
+ */
+function toMonthlyAmounts(amounts, months) {
+  if (!Array.isArray(amounts)) {
+    return new Array(months).fill(amounts);
+  }
+  return Array.from({ length: months }, (_, m) => amounts[m] ?? 0);
+}
+
+/**
+ * Scale a fixed monthly amount or a monthly schedule by a share
+ * A share per year applies to that year's twelve months.
+ */
+function scaleAmounts(amounts, share) {
+  if (Array.isArray(share)) {
+    return toMonthlyAmounts(amounts, share.length * 12)
+      .map((amount, m) => amount * share[Math.floor(m / 12)]);
+  }
+  return Array.isArray(amounts) ? amounts.map(amount => amount * share) : amounts * share;
+}
+
+/**
+ * Join two simulation runs path by path
+ * Every array holds one entry per path, so arrays are concatenated and
+ * objects merged key by key; other values (the seed) come from the first run.
+ */
+function mergeRuns(first, second) {
+  if (Array.isArray(first)) {
+    return first.concat(second);
+  }
+  if (first !== null && typeof first === 'object') {
+    const merged = {};
+    for (const key of Object.keys(first)) {
+      merged[key] = mergeRuns(first[key], second[key]);
+    }
+    return merged;
+  }
+  return first;
+}
+
+/**
+ * Sample mean and standard deviation
+ */
+function calculateMoments(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, n - 1);
+  return { mean, stdDev: Math.sqrt(variance) };
 }
@@ -0,0 +1,211 @@
+/**
+ * Mortgage Amortization Model
+ * Simulates a Norwegian annuity or serial loan month by month, with and
+ * without extra payments, so the paydown strategy can be valued against
+ * the contractual schedule.
+ */
+
+export class MortgageModel {
+  /**
+   * Monthly payment that repays a balance over the remaining term (annuity loan)
+   *
+   * Formula: PMT = B × r / (1 - (1 + r)^-n)
+   *
+   * @param {number} balance - Outstanding principal
+   * @param {number} monthlyRate - Monthly interest rate (annual / 12)
+   * @param {number} months - Remaining term in months
+   * @returns {number} - Monthly payment (interest + principal)
+   */
+  static calculateAnnuityPayment(balance, monthlyRate, months) {
+    if (balance <= 0 || months <= 0) {
+      return 0;
+    }
+
+    if (monthlyRate === 0) {
+      return balance / months;
+    }
+
+    return balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+  }
+
+  /**
+   * Simulate the loan with and without extra payments over the horizon
+   *
+   * Cash-flow rule: the household always pays what the contractual loan
+   * (no extra payments) would demand that month, plus the extra amount.
+   * Anything beyond the scheduled payment is a prepayment, so a serial
+   * loan's falling interest is also paid down rather than lost. Once the
+   * loan is repaid the same outflow keeps going into savings, shown as a
+   * negative balance that earns the mortgage rate. With no loan at all this
+   * reduces to the future value of the extra payments at the mortgage rate.
+   *
+   * Annuity payments are recalculated at the start of each year from the
+   * contractual balance, remaining term and that year's rate.
+   *
+   * A lump sum prepayment is made today, before the first month. Anything
+   * beyond the balance is saved from the start.
+   *
+   * @param {Object} loan - { balance, termYears, loanType: 'annuity' | 'serial' }
+   * @param {Array<number>} rates - Annual mortgage rate for each simulated year
+   * @param {number|Array<number>} monthlyExtra - Extra payment per month (NOK),
+   *   fixed or one amount for each month of the horizon
+   * @param {number} lumpSum - Prepayment today (NOK)
+   * @returns {Object} - Yearly balances, interest paid and payoff month for
+   *   both the extra-payment loan and the contractual baseline.
+   *   taxableInterestSaved holds each year's interest saved plus interest
+   *   earned on savings after payoff, the amount that changes income tax.
+   */
+  static simulate(loan, rates, monthlyExtra, lumpSum = 0) {
+    const years = rates.length;
+    const termMonths = Math.round(loan.termYears * 12);
+    const serialPrincipal = termMonths > 0 ? loan.balance / termMonths : 0;
+
+    let balance = loan.balance - lumpSum;
+    let baselineBalance = loan.balance;
+    let interestPaid = 0;
+    let baselineInterestPaid = 0;
+    let payoffMonth = balance > 0 ? null : 0;
+    let annuityPayment = 0;
+
+    const balances = new Array(years + 1);
+    const baselineBalances = new Array(years + 1);
+    const interestSaved = new Array(years + 1);
+    const taxableInterestSaved = new Array(years);
+    balances[0] = balance;
+    baselineBalances[0] = baselineBalance;
+    interestSaved[0] = 0;
+
+    for (let year = 0; year < years; year++) {
+      const monthlyRate = rates[year] / 12;
+      let yearInterestSaved = 0;
+
+      if (loan.loanType === 'annuity') {
+        annuityPayment = this.calculateAnnuityPayment(
+          baselineBalance,
+          monthlyRate,
+          termMonths - year * 12
+        );
+      }
+
+      for (let m = 0; m < 12; m++) {
+        const month = year * 12 + m + 1;
+
+        // Contractual loan
+        const baselineInterest = Math.max(0, baselineBalance) * monthlyRate;
+        const scheduledPayment = this.scheduledPayment(
+          loan.loanType,
+          baselineBalance,
+          baselineInterest,
+          annuityPayment,
+          serialPrincipal
+        );
+        baselineBalance += baselineInterest - scheduledPayment;
+        baselineInterestPaid += baselineInterest;
+
+        // Loan with extra payments (negative balance = savings)
+        const interest = balance * monthlyRate;
+        if (balance > 0) {
+          interestPaid += interest;
+        }
+        const extra = Array.isArray(monthlyExtra) ? (monthlyExtra[month - 1] ?? 0) : monthlyExtra;
+        balance += interest - scheduledPayment - extra;
+        yearInterestSaved += baselineInterest - interest;
+
+        if (payoffMonth === null && balance <= 0) {
+          payoffMonth = month;
+        }
+      }
+
+      balances[year + 1] = balance;
+      baselineBalances[year + 1] = baselineBalance;
+      interestSaved[year + 1] = baselineInterestPaid - interestPaid;
+      taxableInterestSaved[year] = yearInterestSaved;
+    }
+
+    if (payoffMonth === null) {
+      payoffMonth = this.projectPayoffMonth(
+        loan,
+        balance,
+        baselineBalance,
+        rates[years - 1] ?? 0,
+        years * 12
+      );
+    }
+
+    return {
+      balances,
+      baselineBalances,
+      interestSaved,
+      taxableInterestSaved,
+      interestPaid,
+      baselineInterestPaid,
+      payoffMonth,
+      baselinePayoffMonth: termMonths
+    };
+  }
+
+  /**
+   * Payment the contractual loan demands this month
+   */
+  static scheduledPayment(loanType, balance, interest, annuityPayment, serialPrincipal) {
+    if (balance <= 0) {
+      return 0;
+    }
+
+    if (loanType === 'serial') {
+      return Math.min(balance, serialPrincipal) + interest;
+    }
+
+    return Math.min(annuityPayment, balance + interest);
+  }
+
+  /**
+   * Continue the schedule past the horizon (no more extra payments, last
+   * year's rate) to find when a loan that is still open gets repaid
+   *
+   * @returns {number} - Month (counted from today) of the final payment
+   */
+  static projectPayoffMonth(loan, balance, baselineBalance, annualRate, startMonth) {
+    const termMonths = Math.round(loan.termYears * 12);
+    const monthlyRate = annualRate / 12;
+    const serialPrincipal = loan.balance / termMonths;
+    let annuityPayment = 0;
+    let month = startMonth;
+
+    while (balance > 0 && month < termMonths) {
+      if (loan.loanType === 'annuity' && month % 12 === 0) {
+        annuityPayment = this.calculateAnnuityPayment(
+          baselineBalance,
+          monthlyRate,
+          termMonths - month
+        );
+      }
+
+      const baselineInterest = Math.max(0, baselineBalance) * monthlyRate;
+      const scheduledPayment = this.scheduledPayment(
+        loan.loanType,
+        baselineBalance,
+        baselineInterest,
+        annuityPayment,
+        serialPrincipal
+      );
+      baselineBalance += baselineInterest - scheduledPayment;
+      balance += balance * monthlyRate - scheduledPayment;
+      month++;
+    }
+
+    return Math.min(month, termMonths);
+  }
+
+  /**
+   * Home equity given the remaining loan balance
+   * A negative balance is savings, not extra equity in the home
+   *
+   * @param {number} homeValue - Market value of the home
+   * @param {number} balance - Remaining loan balance
+   * @returns {number} - Home equity (NOK)
+   */
+  static calculateHomeEquity(homeValue, balance) {
+    return homeValue - Math.max(0, balance);
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Random Number Helpers
+ * Distribution samplers built on a uniform [0, 1) source
+ */
+
+/**
+ * Draw from the standard normal distribution (Box-Muller transform)
+ * @param {Function} random - Uniform [0, 1) generator (default: Math.random)
+ * @returns {number} - Sample with mean 0 and standard deviation 1
+ */
+export function standardNormal(random = Math.random) {
+  let u = 0;
+  while (u === 0) {
+    u = random();  // Avoid log(0)
+  }
+  const v = random();
+
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Seeded xoshiro128** generator
+ * Small, fast PRNG with 128 bits of state; the state is expanded from a
+ * 32-bit seed with SplitMix32 so nearby seeds give unrelated streams.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Uniform [0, 1) generator
+ */
+export function createXoshiro128(seed) {
+  let splitState = seed >>> 0;
+  const splitMix32 = () => {
+    splitState = (splitState + 0x9e3779b9) >>> 0;
+    let z = splitState;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+
+  let a = splitMix32();
+  let b = splitMix32();
+  let c = splitMix32();
+  let d = splitMix32();
+
+  return function random() {
+    const result = Math.imul(rotateLeft(Math.imul(b, 5), 7), 9) >>> 0;
+    const t = b << 9;
+
+    c ^= a;
+    d ^= b;
+    b ^= c;
+    a ^= d;
+    c ^= t;
+    d = rotateLeft(d, 11);
+
+    return result / 4294967296;
+  };
+}
+
+/**
+ * Combine a base seed with stream identifiers into a new 32-bit seed
+ * Used to give every simulation path (and every random input within a
+ * path) its own independent, reproducible stream.
+ *
+ * @param {number} seed - Base seed
+ * @param {...number} parts - Identifiers such as path index and stream id
+ * @returns {number} - Derived 32-bit seed
+ */
+export function deriveSeed(seed, ...parts) {
+  let hash = seed >>> 0;
+  for (const part of parts) {
+    hash = Math.imul(hash ^ (part >>> 0), 0x9e3779b1);
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 0x85ebca77);
+    hash ^= hash >>> 13;
+  }
+  return hash >>> 0;
+}
+
+function rotateLeft(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
@@ -0,0 +1,73 @@
+/**
+ * Floating Mortgage Rate Model
+ * Generates yearly mortgage rate paths so the paydown side carries real
+ * interest-rate uncertainty
+ */
+
+import { standardNormal } from './random';
+
+export class RatePathModel {
+  // Defaults roughly matching Norwegian floating mortgage rates
+  static DEFAULTS = {
+    longRunRate: 0.045,      // Level rates revert towards
+    reversionSpeed: 0.25,    // Share of the gap closed each year
+    volatility: 0.0075,      // Std dev of yearly rate changes (75 bp)
+    equityCorrelation: 0,    // Correlation of rate shocks with equity returns
+    floor: 0                 // Rates never go below this
+  };
+
+  /**
+   * Generate annual mortgage rates for one simulated path
+   *
+   * 'fixed': the starting rate for every year.
+   * 'meanReverting': discrete Vasicek process
+   *   r(t+1) = r(t) + κ × (θ - r(t)) + σ × ε(t)
+   *   ε(t) = ρ × z(t) + √(1 - ρ²) × n(t)
+   * where z(t) is the standardized equity return of year t, so a positive ρ
+   * makes rates rise in the year after a strong stock year. ρ is clamped to
+   * [-1, 1].
+   *
+   * @param {number} startRate - Current mortgage rate (applies to year 1)
+   * @param {number} years - Number of years
+   * @param {Object} options - { model, longRunRate, reversionSpeed, volatility, equityCorrelation, floor }
+   * @param {Array<number>} equityShocks - Standardized equity returns per year (optional)
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Annual rate for each year
+   */
+  static generatePath(startRate, years, options = {}, equityShocks = null, random = Math.random) {
+    const {
+      model = 'fixed',
+      longRunRate = this.DEFAULTS.longRunRate,
+      reversionSpeed = this.DEFAULTS.reversionSpeed,
+      volatility = this.DEFAULTS.volatility,
+      equityCorrelation = this.DEFAULTS.equityCorrelation,
+      floor = this.DEFAULTS.floor
+    } = options;
+
+    const path = new Array(years);
+    if (years === 0) {
+      return path;
+    }
+    path[0] = startRate;
+
+    if (model === 'fixed') {
+      path.fill(startRate);
+      return path;
+    }
+
+    const correlation = Math.min(1, Math.max(-1, equityCorrelation));
+    const idiosyncraticWeight = Math.sqrt(1 - correlation * correlation);
+
+    for (let year = 1; year < years; year++) {
+      const equityShock = equityShocks ? equityShocks[year - 1] : standardNormal(random);
+      const shock = correlation * equityShock +
+        idiosyncraticWeight * standardNormal(random);
+
+      const previous = path[year - 1];
+      const next = previous + reversionSpeed * (longRunRate - previous) + volatility * shock;
+      path[year] = Math.max(floor, next);
+    }
+
+    return path;
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Return Samplers
+ * Historical bootstrap strategies and parametric return distributions
+ *
+ * Historical samplers return year indices rather than returns, so anything
+ * else recorded for the same year can be looked up alongside the return.
+ */
+
+import { standardNormal } from './random';
+
+// Lower bound for parametric draws: a fund cannot lose more than everything
+const MIN_RETURN = -0.99;
+
+export class HistoricalSampler {
+  /**
+   * @param {Array<number>} returns - Historical annual returns in date order
+   */
+  constructor(returns) {
+    this.returns = returns;
+    this.regimeModel = this.fitRegimeModel(returns);
+  }
+
+  /**
+   * Draw a path of historical year indices
+   *
+   * @param {number} years - Path length
+   * @param {string} method - 'iid' | 'block' | 'stationary' | 'regime'
+   * @param {Object} options - { blockLength } for block methods
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Indices into the historical returns
+   */
+  sampleIndices(years, method = 'iid', options = {}, random = Math.random) {
+    const { blockLength = 5 } = options;
+
+    switch (method) {
+      case 'block':
+        return this.sampleBlocks(years, blockLength, random);
+      case 'stationary':
+        return this.sampleStationary(years, blockLength, random);
+      case 'regime':
+        return this.sampleRegimes(years, random);
+      default:
+        return this.sampleIid(years, random);
+    }
+  }
+
+  /**
+   * Independent draws with replacement (no serial correlation)
+   */
+  sampleIid(years, random) {
+    const n = this.returns.length;
+    const path = new Array(years);
+    for (let i = 0; i < years; i++) {
+      path[i] = Math.floor(random() * n);
+    }
+    return path;
+  }
+
+  /**
+   * Circular block bootstrap with fixed block length
+   * Consecutive historical years are kept together, so runs like
+   * 2001–2002 survive; the series wraps from the last year to the first.
+   */
+  sampleBlocks(years, blockLength, random) {
+    const n = this.returns.length;
+    const length = Math.max(1, Math.min(Math.round(blockLength), n));
+    const path = new Array(years);
+
+    for (let i = 0; i < years; i += length) {
+      const start = Math.floor(random() * n);
+      for (let j = 0; j < length && i + j < years; j++) {
+        path[i + j] = (start + j) % n;
+      }
+    }
+    return path;
+  }
+
+  /**
+   * Stationary bootstrap (Politis & Romano, 1994)
+   * Block lengths are geometric with the given mean, so the resampled
+   * series stays stationary instead of having fixed block boundaries.
+   */
+  sampleStationary(years, meanBlockLength, random) {
+    const n = this.returns.length;
+    const restartProbability = 1 / Math.max(1, meanBlockLength);
+    const path = new Array(years);
+
+    for (let i = 0; i < years; i++) {
+      if (i === 0 || random() < restartProbability) {
+        path[i] = Math.floor(random() * n);
+      } else {
+        path[i] = (path[i - 1] + 1) % n;
+      }
+    }
+    return path;
+  }
+
+  /**
+   * Two-state bull/bear Markov chain
+   * States follow the fitted transition probabilities; each year's return
+   * is drawn from the historical years of the current state.
+   */
+  sampleRegimes(years, random) {
+    const { stateYears, transition, stationary } = this.regimeModel;
+    const path = new Array(years);
+
+    let state = random() < stationary[1] ? 1 : 0;
+    for (let i = 0; i < years; i++) {
+      if (i > 0) {
+        state = random() < transition[state][1] ? 1 : 0;
+      }
+      const candidates = stateYears[state];
+      path[i] = candidates[Math.floor(random() * candidates.length)];
+    }
+    return path;
+  }
+
+  /**
+   * Fit the bull/bear model to the historical series
+   *
+   * A year is 'bear' (state 1) when its return is negative. Transition
+   * probabilities are the observed frequencies of moving between states from
+   * one year to the next, and the starting state is drawn from the chain's
+   * stationary distribution.
+   *
+   * @param {Array<number>} returns - Historical annual returns in date order
+   * @returns {Object} - { stateYears, transition, stationary }
+   */
+  fitRegimeModel(returns) {
+    const states = returns.map(r => (r < 0 ? 1 : 0));
+    const stateYears = [[], []];
+    states.forEach((state, index) => stateYears[state].push(index));
+
+    const counts = [[0, 0], [0, 0]];
+    for (let i = 1; i < states.length; i++) {
+      counts[states[i - 1]][states[i]]++;
+    }
+
+    const transition = counts.map(row => {
+      const total = row[0] + row[1];
+      return total > 0 ? [row[0] / total, row[1] / total] : [0.5, 0.5];
+    });
+
+    // Stationary distribution of a two-state chain
+    const toBear = transition[0][1];
+    const toBull = transition[1][0];
+    const bearShare = toBear + toBull > 0 ? toBear / (toBear + toBull) : 0;
+
+    // Fall back to i.i.d. draws if the data has only one state
+    if (stateYears[0].length === 0 || stateYears[1].length === 0) {
+      const all = returns.map((_, index) => index);
+      return {
+        stateYears: [all, all],
+        transition: [[1, 0], [1, 0]],
+        stationary: [1, 0]
+      };
+    }
+
+    return {
+      stateYears,
+      transition,
+      stationary: [1 - bearShare, bearShare]
+    };
+  }
+}
+
+/**
+ * Parametric annual return generators
+ * Forward-looking alternative to the historical bootstrap, parameterised by
+ * an expected (arithmetic mean) return and a volatility.
+ */
+export class ParametricSampler {
+  /**
+   * @param {Object} params - { mean, stdDev, degreesOfFreedom }
+   *   mean: expected annual return (e.g., 0.07)
+   *   stdDev: annual volatility (e.g., 0.18)
+   *   degreesOfFreedom: tail thickness for Student-t (lower = fatter tails, > 2)
+   */
+  constructor({ mean, stdDev, degreesOfFreedom = 5 }) {
+    this.mean = mean;
+    this.stdDev = stdDev;
+    this.degreesOfFreedom = Math.max(3, Math.round(degreesOfFreedom));
+
+    // Lognormal growth factor with the same arithmetic mean and volatility
+    const growthMean = 1 + mean;
+    this.logVariance = Math.log(1 + (stdDev * stdDev) / (growthMean * growthMean));
+    this.logMean = Math.log(growthMean) - this.logVariance / 2;
+  }
+
+  /**
+   * Draw a path of annual returns
+   *
+   * @param {number} years - Path length
+   * @param {string} model - 'normal' | 'lognormal' | 'studentT'
+   * @param {Function} random - Uniform [0, 1) generator
+   * @returns {Array<number>} - Annual returns
+   */
+  samplePath(years, model = 'normal', random = Math.random) {
+    const path = new Array(years);
+    for (let i = 0; i < years; i++) {
+      path[i] = Math.max(MIN_RETURN, this.sample(model, random));
+    }
+    return path;
+  }
+
+  /**
+   * Draw a single annual return
+   */
+  sample(model, random) {
+    switch (model) {
+      case 'lognormal':
+        return Math.exp(this.logMean + Math.sqrt(this.logVariance) * standardNormal(random)) - 1;
+      case 'studentT':
+        return this.mean + this.stdDev * this.standardizedStudentT(random);
+      default:
+        return this.mean + this.stdDev * standardNormal(random);
+    }
+  }
+
+  /**
+   * Student-t draw rescaled to unit variance
+   * t = Z / √(χ²(ν) / ν), and Var(t) = ν / (ν - 2)
+   */
+  standardizedStudentT(random) {
+    const nu = this.degreesOfFreedom;
+    let chiSquare = 0;
+    for (let k = 0; k < nu; k++) {
+      const z = standardNormal(random);
+      chiSquare += z * z;
+    }
+
+    const t = standardNormal(random) / Math.sqrt(chiSquare / nu);
+    return t * Math.sqrt((nu - 2) / nu);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Sampling Error
+ * How much a Monte Carlo estimate would move with a different set of paths.
+ * Every estimate comes with its standard error and a 95% confidence
+ * interval:
+ *
+ *   proportion - normal approximation, SE = √(p(1-p)/n)
+ *   mean       - SE = s/√n
+ *   percentile - distribution-free interval from order statistics: the
+ *                ranks n·q ± z·√(n·q·(1-q)) of the sorted outcomes, with the
+ *                standard error read back as the interval's width / (2z)
+ *
+ * The intervals describe the simulation's own noise, not uncertainty about
+ * the model or its assumptions.
+ */
+
+const Z_95 = 1.96;
+const PERCENTILES = { p5: 0.05, p25: 0.25, p50: 0.5, p75: 0.75, p95: 0.95 };
+
+export class SamplingError {
+  static Z_95 = Z_95;
+
+  /**
+   * Error of an estimated probability
+   *
+   * @param {number} p - Estimated probability (0-1)
+   * @param {number} n - Number of paths
+   * @param {number} z - Critical value (1.96 for 95%)
+   * @returns {Object} - { estimate, standardError, lower, upper }
+   */
+  static proportion(p, n, z = Z_95) {
+    const standardError = n > 0 ? Math.sqrt((p * (1 - p)) / n) : 0;
+    return {
+      estimate: p,
+      standardError,
+      lower: Math.max(0, p - z * standardError),
+      upper: Math.min(1, p + z * standardError)
+    };
+  }
+
+  /**
+   * Error of the mean outcome
+   *
+   * @param {Array<number>} data - Outcome of each path
+   * @param {number} z - Critical value (1.96 for 95%)
+   * @returns {Object} - { estimate, standardError, lower, upper }
+   */
+  static mean(data, z = Z_95) {
+    const n = data.length;
+    const estimate = data.reduce((sum, value) => sum + value, 0) / n;
+    const variance = data.reduce((sum, value) => sum + (value - estimate) ** 2, 0) / Math.max(1, n - 1);
+    const standardError = Math.sqrt(variance / n);
+    return {
+      estimate,
+      standardError,
+      lower: estimate - z * standardError,
+      upper: estimate + z * standardError
+    };
+  }
+
+  /**
+   * Error of a percentile, from the order statistics around it
+   *
+   * @param {Array<number>} sorted - Outcomes sorted ascending
+   * @param {number} q - Percentile (0-1)
+   * @param {number} z - Critical value (1.96 for 95%)
+   * @returns {Object} - { estimate, standardError, lower, upper }
+   */
+  static percentile(sorted, q, z = Z_95) {
+    const n = sorted.length;
+    const rank = Math.floor(n * q);
+    const spread = z * Math.sqrt(n * q * (1 - q));
+    const lower = sorted[Math.max(0, Math.floor(rank - spread))];
+    const upper = sorted[Math.min(n - 1, Math.ceil(rank + spread))];
+    return {
+      estimate: sorted[Math.min(rank, n - 1)],
+      standardError: (upper - lower) / (2 * z),
+      lower,
+      upper
+    };
+  }
+
+  /**
+   * Errors of the percentiles and the mean shown in the results
+   *
+   * @param {Array<number>} data - Outcome of each path
+   * @param {number} z - Critical value (1.96 for 95%)
+   * @returns {Object} - { p5, p25, p50, p75, p95, mean }, each
+   *   { estimate, standardError, lower, upper }
+   */
+  static summarize(data, z = Z_95) {
+    const sorted = [...data].sort((a, b) => a - b);
+    const result = { mean: this.mean(data, z) };
+    for (const [key, q] of Object.entries(PERCENTILES)) {
+      result[key] = this.percentile(sorted, q, z);
+    }
+    return result;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Sensitivity Analysis
+ * Which assumption drives the result? Each input is moved down and up by a
+ * set step around the current value and the simulation is re-run on the
+ * same seed, so the change in the outcome comes from the input alone.
+ *
+ * An input is a plain object:
+ *   key:  the input being varied
+ *   step: amount moved in each direction, in the engine's units
+ *         (decimals for rates, years for the horizon)
+ *   defaultValue: the engine's value when the parameters leave it out
+ *
+ * The outcome measured is the median of the paired difference between the
+ * stock strategy and full mortgage paydown, and the probability that the
+ * stock strategy ends ahead.
+ */
+
+import { HistogramBinner } from './histogramBinner';
+import { TaxCalculator } from './taxCalculator';
+
+const MIN_HORIZON = 1;
+const MAX_HORIZON = 40;
+
+export class SensitivityAnalysis {
+  static INPUTS = [
+    { key: 'mortgageRate', step: 0.01 },
+    { key: 'timeHorizon', step: 5 },
+    { key: 'returnAdjustment', step: 0.02 },
+    { key: 'capitalGainsRate', step: 0.05, defaultValue: TaxCalculator.CAPITAL_GAINS_RATE },
+    { key: 'interestDeductionRate', step: 0.05 },
+    { key: 'shieldingRate', step: 0.01 },
+    { key: 'annualFee', step: 0.005 }
+  ];
+
+  /**
+   * Parameters with one input moved by a number of steps
+   *
+   * The mortgage rate moves today's rate and the long-run rate together, so
+   * a mean-reverting path does not pull it back to the old level.
+   *
+   * @param {Object} params - Simulation parameters
+   * @param {Object} input - { key, step, defaultValue }
+   * @param {number} steps - Steps to move (-1 down, 1 up)
+   * @returns {Object} - { params, value } with the varied parameters and the
+   *   input's new value
+   */
+  static vary(params, input, steps) {
+    const { key, step, defaultValue = 0 } = input;
+    const current = params[key] ?? defaultValue;
+
+    if (key === 'timeHorizon') {
+      const value = Math.min(MAX_HORIZON, Math.max(MIN_HORIZON, current + steps * step));
+      return { params: { ...params, timeHorizon: value }, value };
+    }
+
+    if (key === 'mortgageRate') {
+      const value = Math.max(0, current + steps * step);
+      const shift = value - current;
+      const longRunRate = params.longRunRate !== undefined ? params.longRunRate + shift : undefined;
+      return { params: { ...params, mortgageRate: value, longRunRate }, value };
+    }
+
+    // Returns may shift below zero; rates, fees and tax rates may not
+    const value = key === 'returnAdjustment'
+      ? current + steps * step
+      : Math.max(0, current + steps * step);
+    return { params: { ...params, [key]: value }, value };
+  }
+
+  /**
+   * Outcome of one run
+   *
+   * @param {Array<number>} stock - Stock strategy value per path
+   * @param {Array<number>} mortgage - Mortgage strategy value per path
+   * @returns {Object} - { medianDifference, probabilityStockWins }
+   */
+  static measure(stock, mortgage) {
+    const differences = stock.map((value, i) => value - mortgage[i]);
+    return {
+      medianDifference: HistogramBinner.calculatePercentiles(differences).p50,
+      probabilityStockWins: HistogramBinner.calculateOutperformanceProbability(stock, mortgage)
+    };
+  }
+
+  /**
+   * Tornado rows: the outcome with each input down and up, widest swing first
+   *
+   * @param {Object} sensitivity - Output of MonteCarloEngine.runSensitivity
+   * @param {Object} options - { real } to measure in today's kroner
+   * @returns {Object} - { base, rows: [{ key, low, high, swing }] } where
+   *   base, low and high are measure results, low and high with the value
+   *   the input was set to, and swing the spread of the median difference
+   */
+  static tornado(sensitivity, options = {}) {
+    const { real = false } = options;
+    const measureRun = (run) => {
+      const values = real ? run.real : run;
+      return this.measure(values.stock, values.mortgage);
+    };
+
+    const rows = sensitivity.inputs.map(({ key, low, high }) => {
+      const lowResult = { value: low.value, ...measureRun(low) };
+      const highResult = { value: high.value, ...measureRun(high) };
+      return {
+        key,
+        low: lowResult,
+        high: highResult,
+        swing: Math.abs(highResult.medianDifference - lowResult.medianDifference)
+      };
+    });
+
+    return {
+      base: measureRun(sensitivity.base),
+      rows: rows.sort((a, b) => b.swing - a.swing)
+    };
+  }
+
+  /**
+   * Two-way grid of the outcome, one cell per pair of input values
+   *
+   * @param {Object} grid - Output of MonteCarloEngine.runSensitivityGrid
+   * @param {Object} options - { real } to measure in today's kroner
+   * @returns {Array<Array<Object>>} - cells[row][column] measure results, rows
+   *   following grid.rowValues and columns grid.allocations
+   */
+  static gridCells(grid, options = {}) {
+    const { real = false } = options;
+    return grid.sweeps.map((sweep) => {
+      const values = real ? sweep.real : sweep;
+      return values.stock.map(stock => this.measure(stock, values.mortgage));
+    });
+  }
+}
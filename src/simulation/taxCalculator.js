@@ -8,6 +8,20 @@ export class TaxCalculator {
   static CAPITAL_GAINS_RATE = 0.3784;  // 37.84% effective rate
   static STEP_UP_FACTOR = 1.72;         // Step-up factor for gains
   static FLAT_RATE = 0.22;              // Flat tax rate (22%)
+  static SHIELDING_RATE = 0.039;        // Default skjermingsrente (after-tax risk-free rate)
+  static INTEREST_DEDUCTION_RATE = 0.22; // Rentefradrag on interest expenses
+
+  // Formuesskatt for one person (2024)
+  static WEALTH_TAX = {
+    allowance: 1700000,          // Bunnfradrag
+    rate: 0.01,                  // Municipal + state rate
+    highThreshold: 20000000,
+    highRate: 0.011,
+    shareValuation: 0.8,         // Shares and equity funds at 80%
+    homeValuation: 0.25,         // Primary residence at 25%...
+    homeHighThreshold: 10000000,
+    homeHighValuation: 0.7       // ...and 70% above 10 MNOK
+  };
 
   /**
    * Calculate tax on stock capital gains
@@ -75,21 +89,143 @@ export class TaxCalculator {
   }
 
   /**
-   * Calculate shielding deduction (simplified version)
-   * Note: This is a simplified calculation. Full implementation would track
-   * yearly shielding based on risk-free rate.
+   * Yearly shielding deduction (skjermingsfradrag) for one lot
+   * Granted to whoever owns the share at year end, for the whole year,
+   * even if it was bought during the year.
    *
-   * Shielding reduces taxable gains based on risk-free rate of return
-   * For MVP, this is not implemented but included for future enhancement
+   * @param {number} shieldingBase - Cost plus unused shielding from earlier years
+   * @param {number} shieldingRate - Shielding rate for the year (e.g., 0.039)
+   * @returns {number} - Shielding deduction for the year
+   */
+  static calculateShielding(shieldingBase, shieldingRate = this.SHIELDING_RATE) {
+    return Math.max(0, shieldingBase) * Math.max(0, shieldingRate);
+  }
+
+  /**
+   * Taxable gain when a lot is sold
+   * Unused shielding is deducted from a gain, but cannot create or increase
+   * a loss. A loss is deductible at the same rate, so it is returned as a
+   * negative taxable gain.
    *
-   * @param {number} costBasis - Total amount invested
-   * @param {number} years - Investment period in years
-   * @param {number} riskFreeRate - Risk-free rate (e.g., 0.039 for 3.9%)
-   * @returns {number} - Total shielding deduction
+   * @param {number} proceeds - Sale value of the lot
+   * @param {number} cost - Purchase cost of the lot
+   * @param {number} unusedShielding - Shielding carried forward on the lot
+   * @returns {Object} - { taxableGain, shieldingUsed }
+   */
+  static calculateTaxableGain(proceeds, cost, unusedShielding) {
+    const gain = proceeds - cost;
+    const shieldingUsed = Math.min(Math.max(0, gain), unusedShielding);
+
+    return {
+      taxableGain: gain - shieldingUsed,
+      shieldingUsed
+    };
+  }
+
+  /**
+   * Tax value of interest (rentefradrag)
+   * Interest expenses reduce tax by the deduction rate, and interest income
+   * is taxed at the same rate, so interest saved costs this much in tax.
+   *
+   * @param {number} interest - Interest paid (or saved) in a year
+   * @param {number} deductionRate - Deduction rate (e.g., 0.22)
+   * @returns {number} - Tax effect in NOK
+   */
+  static calculateInterestDeduction(interest, deductionRate = this.INTEREST_DEDUCTION_RATE) {
+    return interest * deductionRate;
+  }
+
+  /**
+   * Accumulated value of interest deductions lost by paying down the loan
+   *
+   * Each year the household loses the deduction on the interest it saved.
+   * The lost amount would otherwise have gone to the loan, so it keeps
+   * costing the after-tax mortgage rate in later years.
+   *
+   * @param {Array<number>} yearlyInterestSaved - Interest saved each year
+   * @param {Array<number>} rates - Annual mortgage rate for each year
+   * @param {number} deductionRate - Deduction rate (e.g., 0.22)
+   * @returns {Array<number>} - Lost deduction value at each year end (index 0 = today)
+   */
+  static calculateLostDeduction(
+    yearlyInterestSaved,
+    rates,
+    deductionRate = this.INTEREST_DEDUCTION_RATE
+  ) {
+    return this.accumulateCosts(
+      yearlyInterestSaved.map(interest => this.calculateInterestDeduction(interest, deductionRate)),
+      rates,
+      deductionRate
+    );
+  }
+
+  /**
+   * Value of yearly tax payments including the interest they cost
+   * Money paid in tax could otherwise have reduced the mortgage, so each
+   * payment keeps growing at the after-tax mortgage rate.
+   *
+   * @param {Array<number>} yearlyCosts - Amount paid at each year end
+   * @param {Array<number>} rates - Annual mortgage rate for each year
+   * @param {number} deductionRate - Interest deduction rate (e.g., 0.22)
+   * @returns {Array<number>} - Accumulated cost at each year end (index 0 = today)
+   */
+  static accumulateCosts(yearlyCosts, rates, deductionRate = this.INTEREST_DEDUCTION_RATE) {
+    const accumulated = new Array(yearlyCosts.length + 1);
+    accumulated[0] = 0;
+
+    for (let year = 0; year < yearlyCosts.length; year++) {
+      const afterTaxRate = rates[year] * (1 - deductionRate);
+      accumulated[year + 1] = accumulated[year] * (1 + afterTaxRate) + yearlyCosts[year];
+    }
+    return accumulated;
+  }
+
+  /**
+   * Assessed value of a primary residence (2024 rules)
+   * 25% of market value up to the threshold, 70% above it
+   *
+   * @param {number} homeValue - Market value of the home
+   * @returns {number} - Wealth tax value
    */
-  static calculateShielding(costBasis, years, riskFreeRate = 0.039) {
-    // Simplified: assumes constant cost basis
-    // Actual implementation would track yearly basis changes
-    return costBasis * riskFreeRate * years;
+  static calculateHomeTaxValue(homeValue) {
+    const { homeValuation, homeHighThreshold, homeHighValuation } = this.WEALTH_TAX;
+    const value = Math.max(0, homeValue);
+
+    return Math.min(value, homeHighThreshold) * homeValuation
+      + Math.max(0, value - homeHighThreshold) * homeHighValuation;
+  }
+
+  /**
+   * Yearly wealth tax (formuesskatt) for one person (2024 rules)
+   *
+   * Shares and equity funds are valued at 80%, and because of that discount
+   * debt is only deductible in the proportion the shares are not discounted
+   * (gjeldsreduksjon). The home discount does not reduce the debt.
+   *
+   * @param {Object} wealth - Year-end position in NOK
+   *   shares: market value of shares and equity funds (ASK included)
+   *   deposits: bank deposits and other assets valued at 100%
+   *   homeValue: market value of the primary residence
+   *   debt: total debt
+   *   otherNetWealth: other net wealth at tax value (negative = net debt)
+   * @returns {number} - Wealth tax for the year
+   */
+  static calculateWealthTax({ shares = 0, deposits = 0, homeValue = 0, debt = 0, otherNetWealth = 0 }) {
+    const { allowance, rate, highThreshold, highRate, shareValuation } = this.WEALTH_TAX;
+
+    const shareValue = Math.max(0, shares);
+    const shareDiscount = shareValue * (1 - shareValuation);
+    const grossAssets = shareValue
+      + Math.max(0, deposits)
+      + this.calculateHomeTaxValue(homeValue)
+      + Math.max(0, otherNetWealth);
+    const totalDebt = Math.max(0, debt) + Math.max(0, -otherNetWealth);
+
+    const debtReduction = grossAssets > 0 ? totalDebt * shareDiscount / grossAssets : 0;
+    const netWealth = grossAssets - shareDiscount - (totalDebt - debtReduction);
+
+    const taxable = Math.max(0, netWealth - allowance);
+    const highPart = Math.max(0, netWealth - highThreshold);
+    return (taxable - highPart) * rate + highPart * highRate;
   }
 }
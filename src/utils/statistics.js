@@ -95,6 +95,37 @@ export class Statistics {
     return wins / scenario1.length;
   }
 
+  /**
+   * Calculate probability that a value ends below a threshold
+   * @param {Array<number>} array - Data array
+   * @param {number} threshold - Threshold value
+   * @returns {number} - Probability (0-1) of a value below the threshold
+   */
+  static probabilityBelow(array, threshold) {
+    if (array.length === 0) return 0;
+    return array.filter(value => value < threshold).length / array.length;
+  }
+
+  /**
+   * Largest fall from a previous peak along a path
+   * @param {Array<number>} path - Values in time order
+   * @returns {number} - Maximum drawdown as a share of the peak (0-1);
+   *   0 when the path never falls or has no positive peak
+   */
+  static maxDrawdown(path) {
+    let peak = -Infinity;
+    let drawdown = 0;
+
+    for (const value of path) {
+      peak = Math.max(peak, value);
+      if (peak > 0) {
+        drawdown = Math.max(drawdown, (peak - value) / peak);
+      }
+    }
+
+    return drawdown;
+  }
+
   /**
    * Format number as Norwegian currency
    * @param {number} value - Numeric value
@@ -132,6 +163,22 @@ export class Statistics {
     return `${percent.toFixed(decimals)}%`;
   }
 
+  /**
+   * Format a number of months from today as a calendar month
+   * @param {number} months - Months from the current month
+   * @returns {string} - Formatted date (e.g., "mars 2041")
+   */
+  static formatMonthsFromNow(months) {
+    const date = new Date();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + Math.round(months));
+
+    return new Intl.DateTimeFormat('no-NO', {
+      month: 'short',
+      year: 'numeric'
+    }).format(date);
+  }
+
   /**
    * Calculate min and max from array
    * @param {Array<number>} array - Data array
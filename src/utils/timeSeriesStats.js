@@ -33,3 +33,25 @@ export function computeTimeSeriesBands(paths, years) {
 
   return bands;
 }
+
+/**
+ * Compute the median value at each year across simulation paths
+ * @param {Array<Array<number>>} paths - One array of length (years+1) per simulation
+ * @param {number} years - time horizon
+ * @returns {Array<number>} - Median value for each year
+ */
+export function computeMedianPath(paths, years) {
+  const numSims = paths.length;
+  const medians = new Array(years + 1);
+  const values = new Array(numSims);
+
+  for (let y = 0; y <= years; y++) {
+    for (let i = 0; i < numSims; i++) {
+      values[i] = paths[i][y];
+    }
+    values.sort((a, b) => a - b);
+    medians[y] = values[Math.floor(numSims * 0.50)];
+  }
+
+  return medians;
+}